@@ -0,0 +1,166 @@
+/**
+ * GRANDMAS - Administrative Functions
+ *
+ * This module provides serverless functions for system management and configuration.
+ */
+
+const { Pool } = require('pg');
+const gradingScale = require('../grading/grading_scale');
+
+// Configure PostgreSQL connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  ssl: {
+    rejectUnauthorized: false
+  }
+});
+
+/**
+ * Create or replace a grading scale
+ *
+ * Bands are replaced as a whole. When a course ID is given, the scale becomes
+ * that course's grading scale.
+ *
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with scale ID or validation errors
+ */
+exports.setGradingScale = async (event) => {
+  try {
+    const {
+      scaleId,
+      name,
+      description,
+      scaleType = 'letter',
+      rounding = { mode: 'none' },
+      thresholds,
+      isDefault = false,
+      courseId
+    } = JSON.parse(event.body);
+    const userId = event.requestContext.authorizer.claims.sub;
+
+    const userResult = await pool.query('SELECT role FROM users WHERE user_id = $1', [userId]);
+    if (userResult.rows.length === 0 || userResult.rows[0].role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only admins can change grading scales' })
+      };
+    }
+
+    // Validate input
+    if (!name) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Scale name is required' })
+      };
+    }
+
+    const errors = gradingScale.validateGradingScale({ scaleType, rounding, thresholds });
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Invalid grading scale', errors })
+      };
+    }
+
+    // Begin transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      let savedScaleId = scaleId;
+
+      if (scaleId) {
+        const updateResult = await client.query(
+          `UPDATE grading_scales
+           SET name = $1, description = $2, scale_type = $3, rounding_mode = $4, rounding_decimals = $5, is_default = $6
+           WHERE scale_id = $7
+           RETURNING scale_id`,
+          [name, description, scaleType, rounding.mode, rounding.decimals || 0, isDefault, scaleId]
+        );
+
+        if (updateResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return {
+            statusCode: 404,
+            body: JSON.stringify({ message: 'Grading scale not found' })
+          };
+        }
+
+        await client.query('DELETE FROM grading_scale_thresholds WHERE scale_id = $1', [scaleId]);
+      } else {
+        const insertResult = await client.query(
+          `INSERT INTO grading_scales (name, description, scale_type, rounding_mode, rounding_decimals, is_default, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING scale_id`,
+          [name, description, scaleType, rounding.mode, rounding.decimals || 0, isDefault, userId]
+        );
+
+        savedScaleId = insertResult.rows[0].scale_id;
+      }
+
+      // Insert bands
+      for (const threshold of thresholds) {
+        await client.query(
+          `INSERT INTO grading_scale_thresholds (scale_id, grade, min_score, max_score, gpa_points, is_passing)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            savedScaleId,
+            threshold.grade,
+            threshold.minScore,
+            threshold.maxScore,
+            threshold.gpaPoints !== undefined ? threshold.gpaPoints : null,
+            threshold.isPassing !== undefined ? threshold.isPassing : null
+          ]
+        );
+      }
+
+      // Only one scale can be the default
+      if (isDefault) {
+        await client.query(
+          'UPDATE grading_scales SET is_default = FALSE WHERE scale_id <> $1',
+          [savedScaleId]
+        );
+      }
+
+      // Replace the course's grading scale
+      if (courseId) {
+        await client.query('DELETE FROM course_grading_scales WHERE course_id = $1', [courseId]);
+        await client.query(
+          'INSERT INTO course_grading_scales (course_id, scale_id) VALUES ($1, $2)',
+          [courseId, savedScaleId]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO audit_logs (user_id, action_type, entity_type, entity_id, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [userId, scaleId ? 'grading_scale_update' : 'grading_scale_create', 'grading_scale', savedScaleId, { courseId }]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        statusCode: scaleId ? 200 : 201,
+        body: JSON.stringify({
+          message: scaleId ? 'Grading scale updated successfully' : 'Grading scale created successfully',
+          scaleId: savedScaleId
+        })
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error in setGradingScale:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
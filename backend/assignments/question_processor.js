@@ -57,6 +57,33 @@ exports.createQuestion = async (event) => {
     
     const typeId = typeResult.rows[0].type_id;
     
+    // Validate structured rubric, if provided
+    const rubricError = validateRubric(questionData.rubric);
+    if (rubricError) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: rubricError })
+      };
+    }
+    
+    // Validate short answer concepts, if provided
+    const conceptsError = validateConcepts(questionData.metadata && questionData.metadata.concepts);
+    if (conceptsError) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: conceptsError })
+      };
+    }
+    
+    // Validate short answer model answers, if given as a list
+    const modelAnswersError = questionData.type === 'short_answer' ? validateModelAnswers(questionData.correctAnswer) : null;
+    if (modelAnswersError) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: modelAnswersError })
+      };
+    }
+    
     // Get max order number for this assignment
     const orderResult = await pool.query(
       'SELECT MAX(order_num) as max_order FROM questions WHERE assignment_id = $1',
@@ -186,6 +213,222 @@ function processQuestionData(questionData) {
   return { options, correctAnswer };
 }
 
+/**
+ * Validate the criteria of a structured rubric
+ * 
+ * @param {Object} rubric - Rubric ({ description, criteria: [{ id, name, levels: [{ id, label, points }] }] })
+ * @returns {string|null} - Error message, or null if the rubric is valid
+ */
+function validateRubric(rubric) {
+  if (!rubric || rubric.criteria === undefined) {
+    return null;
+  }
+  
+  if (!Array.isArray(rubric.criteria)) {
+    return 'Rubric criteria must be a list';
+  }
+  
+  const criterionIds = new Set();
+  for (const criterion of rubric.criteria) {
+    if (criterion.id === undefined || !criterion.name) {
+      return 'Each rubric criterion requires an ID and a name';
+    }
+    if (criterionIds.has(criterion.id)) {
+      return `Duplicate rubric criterion ID: ${criterion.id}`;
+    }
+    criterionIds.add(criterion.id);
+    
+    if (!Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+      return `Rubric criterion ${criterion.name} requires at least one level`;
+    }
+    
+    const levelIds = new Set();
+    for (const level of criterion.levels) {
+      if (level.id === undefined || !level.label || typeof level.points !== 'number' || level.points < 0) {
+        return `Each level of rubric criterion ${criterion.name} requires an ID, a label and non-negative points`;
+      }
+      if (levelIds.has(level.id)) {
+        return `Duplicate level ID in rubric criterion ${criterion.name}: ${level.id}`;
+      }
+      levelIds.add(level.id);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the concepts used to grade a short answer question
+ * 
+ * @param {Array} concepts - Concepts ({ name, synonyms, points })
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateConcepts(concepts) {
+  if (concepts === undefined || concepts === null) {
+    return null;
+  }
+  
+  if (!Array.isArray(concepts)) {
+    return 'Concepts must be a list';
+  }
+  
+  for (const concept of concepts) {
+    if (!concept.name || typeof concept.points !== 'number' || concept.points < 0) {
+      return 'Each concept requires a name and non-negative points';
+    }
+    if (concept.synonyms !== undefined && !Array.isArray(concept.synonyms)) {
+      return `Synonyms of concept ${concept.name} must be a list`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a list of short answer model answers
+ * 
+ * @param {string|Array} modelAnswers - Correct answer string, or model answers ({ text, credit, feedback })
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateModelAnswers(modelAnswers) {
+  if (!Array.isArray(modelAnswers)) {
+    return null;
+  }
+  
+  for (const modelAnswer of modelAnswers) {
+    if (typeof modelAnswer === 'string') {
+      continue;
+    }
+    if (!modelAnswer || !modelAnswer.text) {
+      return 'Each model answer requires text';
+    }
+    if (modelAnswer.credit !== undefined &&
+        !(typeof modelAnswer.credit === 'number' && modelAnswer.credit >= 0 && modelAnswer.credit <= 1)) {
+      return 'Model answer credit must be between 0 and 1';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Add a student's response to a short answer question's model answers
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with the updated model answers or error
+ */
+exports.promoteModelAnswer = async (event) => {
+  try {
+    const { questionId } = event.pathParameters;
+    const { responseId, credit = 1, feedback } = JSON.parse(event.body);
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Validate input
+    if (!responseId) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response ID is required' })
+      };
+    }
+    
+    if (typeof credit !== 'number' || credit < 0 || credit > 1) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Credit must be between 0 and 1' })
+      };
+    }
+    
+    // Lock the question so concurrent promotions append to the same list
+    const client = await pool.connect();
+    let modelAnswers;
+    try {
+      await client.query('BEGIN');
+      
+      const result = await client.query(
+        `SELECT q.correct_answer, qr.response_data, qt.name as question_type,
+                EXISTS (
+                  SELECT 1 FROM course_teachers ct
+                  JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                  WHERE ct.course_id = a.course_id AND tp.user_id = $3
+                ) AS is_course_teacher,
+                (SELECT role FROM users WHERE user_id = $3) AS requester_role
+         FROM question_responses qr
+         JOIN questions q ON qr.question_id = q.question_id
+         JOIN question_types qt ON q.type_id = qt.type_id
+         JOIN assignments a ON q.assignment_id = a.assignment_id
+         WHERE qr.response_id = $1 AND q.question_id = $2
+         FOR UPDATE OF q`,
+        [responseId, questionId, userId]
+      );
+      
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return {
+          statusCode: 404,
+          body: JSON.stringify({ message: 'Response not found for this question' })
+        };
+      }
+      
+      const { correct_answer: correctAnswer, response_data: responseData, question_type: questionType } = result.rows[0];
+      
+      if (!result.rows[0].is_course_teacher && result.rows[0].requester_role !== 'admin') {
+        await client.query('ROLLBACK');
+        return {
+          statusCode: 403,
+          body: JSON.stringify({ message: 'Only the course teacher can add model answers to this question' })
+        };
+      }
+      
+      if (questionType !== 'short_answer' || typeof responseData !== 'string' || responseData.trim() === '') {
+        await client.query('ROLLBACK');
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ message: 'Only written short answer responses can become model answers' })
+        };
+      }
+      
+      // A single correct answer string becomes the first, full-credit model answer
+      modelAnswers = [];
+      if (Array.isArray(correctAnswer)) {
+        modelAnswers = correctAnswer;
+      } else if (correctAnswer) {
+        modelAnswers = [{ text: String(correctAnswer), credit: 1 }];
+      }
+      
+      modelAnswers = [
+        ...modelAnswers,
+        { text: responseData.trim(), credit, feedback: feedback || null, sourceResponseId: Number(responseId) }
+      ];
+      
+      await client.query(
+        'UPDATE questions SET correct_answer = $1 WHERE question_id = $2',
+        [JSON.stringify(modelAnswers), questionId]
+      );
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Model answer added successfully',
+        modelAnswers
+      })
+    };
+  } catch (error) {
+    console.error('Error in promoteModelAnswer:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
 /**
  * Submit a response to a question
  * 
@@ -355,6 +598,7 @@ exports.uploadResponseFile = async (event) => {
 exports.getAssignmentQuestions = async (event) => {
   try {
     const assignmentId = event.pathParameters.assignmentId;
+    const userId = event.requestContext.authorizer.claims.sub;
     
     // Get questions
     const result = await pool.query(
@@ -367,9 +611,13 @@ exports.getAssignmentQuestions = async (event) => {
       [assignmentId]
     );
     
+    // Students only get what they need to answer the questions
+    const userResult = await pool.query('SELECT role FROM users WHERE user_id = $1', [userId]);
+    const isStaff = userResult.rows.length > 0 && ['teacher', 'admin'].includes(userResult.rows[0].role);
+    
     return {
       statusCode: 200,
-      body: JSON.stringify(result.rows)
+      body: JSON.stringify(isStaff ? result.rows : result.rows.map(studentQuestionView))
     };
   } catch (error) {
     console.error('Error in getAssignmentQuestions:', error);
@@ -380,6 +628,39 @@ exports.getAssignmentQuestions = async (event) => {
   }
 };
 
+/**
+ * Remove grading information from a question before it is shown to a student
+ * 
+ * @param {Object} question - Question row
+ * @returns {Object} - Question without answer key material
+ */
+function studentQuestionView(question) {
+  const view = { ...question };
+  
+  // Hidden test cases are only run during grading
+  if (view.options && Array.isArray(view.options.testCases)) {
+    view.options = {
+      ...view.options,
+      testCases: view.options.testCases.filter(testCase => testCase.hidden !== true)
+    };
+  }
+  
+  if (view.metadata) {
+    // Concepts and their synonyms are the short answer key
+    const { concepts, ...metadata } = view.metadata;
+    
+    // Option weights would reveal which options are correct
+    const scoringPolicy = metadata.scoringPolicy;
+    if (scoringPolicy && typeof scoringPolicy === 'object') {
+      metadata.scoringPolicy = { type: scoringPolicy.type, n: scoringPolicy.n, floor: scoringPolicy.floor };
+    }
+    
+    view.metadata = metadata;
+  }
+  
+  return view;
+}
+
 /**
  * Get student responses for an assignment
  * 
@@ -392,8 +673,8 @@ exports.getStudentResponses = async (event) => {
     
     // Get responses
     const result = await pool.query(
-      `SELECT qr.response_id, qr.question_id, qr.response_data, qr.score, qr.feedback,
-              q.content as question_content, q.points as question_points,
+      `SELECT qr.response_id, qr.question_id, qr.response_data, qr.score, qr.feedback, qr.grading_details,
+              q.content as question_content, q.points as question_points, q.rubric as question_rubric,
               qt.name as question_type
        FROM question_responses qr
        JOIN questions q ON qr.question_id = q.question_id
@@ -0,0 +1,74 @@
+/**
+ * GRANDMAS - Anonymous Grading
+ *
+ * This module gives submissions of anonymously graded assignments stable
+ * pseudonyms and a shuffled grading order.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create the secret key an assignment's pseudonyms are derived from
+ *
+ * @returns {string} - Random key (hex)
+ */
+function createKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Derive a keyed hash for a submission
+ *
+ * @param {string} key - Assignment key
+ * @param {string} purpose - What the hash is used for, so labels and order are unrelated
+ * @param {number} submissionId - Submission ID
+ * @returns {string} - Hash (hex)
+ */
+function digest(key, purpose, submissionId) {
+  return crypto.createHmac('sha256', key).update(`${purpose}:${submissionId}`).digest('hex');
+}
+
+/**
+ * Check whether student identities are hidden for an assignment
+ *
+ * @param {Object} assignment - Assignment row ({ is_anonymous, deanonymized_at })
+ * @returns {boolean} - Whether graders should only see pseudonyms
+ */
+function isHidden(assignment) {
+  return Boolean(assignment.is_anonymous) && !assignment.deanonymized_at;
+}
+
+/**
+ * Get a submission's pseudonym
+ *
+ * The pseudonym stays the same for as long as the assignment keeps its key,
+ * and cannot be traced back to the submission without the key.
+ *
+ * @param {string} key - Assignment key
+ * @param {number} submissionId - Submission ID
+ * @returns {string} - Pseudonym (e.g. "Student 3FA9C2")
+ */
+function pseudonym(key, submissionId) {
+  return `Student ${digest(key, 'label', submissionId).slice(0, 6).toUpperCase()}`;
+}
+
+/**
+ * Put submissions in the assignment's shuffled grading order
+ *
+ * @param {string} key - Assignment key
+ * @param {Array} submissions - Submissions ({ submission_id })
+ * @returns {Array} - Submissions in grading order
+ */
+function shuffle(key, submissions) {
+  return submissions
+    .map(submission => ({ submission, order: digest(key, 'order', submission.submission_id) }))
+    .sort((a, b) => (a.order < b.order ? -1 : a.order > b.order ? 1 : 0))
+    .map(({ submission }) => submission);
+}
+
+module.exports = {
+  createKey,
+  isHidden,
+  pseudonym,
+  shuffle
+};
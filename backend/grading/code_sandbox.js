@@ -0,0 +1,322 @@
+/**
+ * GRANDMAS - Code Sandbox
+ *
+ * This module runs student code against test cases in an isolated child process
+ * with CPU time, memory and output limits.
+ *
+ * The API functions never run student code themselves: they call runInSandbox,
+ * which hands the code to the dedicated sandbox function. That function has no
+ * database credentials, no IAM permissions, a read-only root filesystem and no
+ * network route out of its VPC.
+ */
+
+const AWS = require('aws-sdk');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Supported languages and how to run them
+const LANGUAGES = {
+  javascript: {
+    fileName: 'main.js',
+    // Absolute path, since the child gets an empty environment
+    command: process.execPath,
+    args: (file, limits) => [`--max-old-space-size=${limits.memoryMb}`, file],
+    // V8 reserves far more address space than it uses, so memory is capped by the heap flag instead
+    limitAddressSpace: false
+  },
+  python: {
+    fileName: 'main.py',
+    command: 'python3',
+    args: (file) => ['-I', '-S', file],
+    limitAddressSpace: true
+  }
+};
+
+// Default resource limits for a single test case run
+const DEFAULT_LIMITS = {
+  cpuTimeSeconds: 2,
+  wallTimeMs: 5000,
+  memoryMb: 128,
+  outputBytes: 64 * 1024
+};
+
+// Maximum length of stdout/stderr excerpts returned with results
+const EXCERPT_LENGTH = 500;
+
+// Configure Lambda client for the isolated sandbox function
+const lambda = new AWS.Lambda();
+
+/**
+ * Check whether a language can be run in the sandbox
+ *
+ * @param {string} language - Language name
+ * @returns {boolean} - Whether the language is supported
+ */
+function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+/**
+ * Run code against a list of test cases in the isolated sandbox function
+ *
+ * @param {string} code - Source code to run
+ * @param {string} language - Language name
+ * @param {Array} testCases - Test cases ({ name, input, expectedOutput, weight, hidden })
+ * @param {Object} limits - Resource limit overrides (optional)
+ * @returns {Array} - Result for each test case
+ */
+async function runInSandbox(code, language, testCases, limits = {}) {
+  const response = await lambda.invoke({
+    FunctionName: process.env.CODE_SANDBOX_FUNCTION,
+    InvocationType: 'RequestResponse',
+    Payload: JSON.stringify({ code, language, testCases, limits })
+  }).promise();
+
+  const payload = JSON.parse(response.Payload || 'null');
+  if (response.FunctionError || !payload || !Array.isArray(payload.results)) {
+    throw new Error(`Sandbox run failed: ${(payload && (payload.error || payload.errorMessage)) || 'no results'}`);
+  }
+
+  return payload.results;
+}
+
+/**
+ * Run code against a list of test cases
+ *
+ * Only the sandbox function calls this directly.
+ *
+ * @param {string} code - Source code to run
+ * @param {string} language - Language name
+ * @param {Array} testCases - Test cases ({ name, input, expectedOutput, weight, hidden })
+ * @param {Object} limits - Resource limit overrides (optional)
+ * @returns {Array} - Result for each test case
+ */
+async function runTestCases(code, language, testCases, limits = {}) {
+  if (!isSupportedLanguage(language)) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  const runLimits = { ...DEFAULT_LIMITS, ...limits };
+
+  // Run test cases one at a time so limits apply to each run independently
+  const results = [];
+  for (const [index, testCase] of testCases.entries()) {
+    const run = await runInWorkDir(language, code, testCase.input, runLimits);
+    const passed = run.status === 'completed' &&
+                   normalizeOutput(run.stdout) === normalizeOutput(testCase.expectedOutput);
+
+    const result = {
+      name: testCase.name || `Test ${index + 1}`,
+      weight: testCase.weight === undefined ? 1 : Number(testCase.weight),
+      hidden: testCase.hidden === true,
+      passed,
+      status: run.status
+    };
+
+    // Results are shown to students, so hidden tests only report whether they passed
+    if (!result.hidden) {
+      result.exitCode = run.exitCode;
+      result.stdout = excerpt(run.stdout);
+      result.stderr = excerpt(run.stderr);
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Run code once in a fresh working directory
+ *
+ * Each run gets its own directory, removed afterwards, so one test case cannot
+ * leave files behind for the next.
+ *
+ * @param {string} language - Language name
+ * @param {string} code - Source code to run
+ * @param {string} input - Data written to stdin
+ * @param {Object} limits - Resource limits
+ * @returns {Object} - Run status, exit code, stdout and stderr
+ */
+async function runInWorkDir(language, code, input, limits) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grandmas-sandbox-'));
+
+  try {
+    const sourceFile = path.join(workDir, LANGUAGES[language].fileName);
+    fs.writeFileSync(sourceFile, code);
+
+    // A separate sandbox user can read the code but not write next to it
+    if (sandboxUser()) {
+      fs.chmodSync(workDir, 0o755);
+    }
+
+    return await runProcess(language, sourceFile, workDir, input, limits);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run a source file in a resource-limited child process
+ *
+ * @param {string} language - Language name
+ * @param {string} sourceFile - Path to the source file
+ * @param {string} workDir - Working directory for the process
+ * @param {string} input - Data written to stdin
+ * @param {Object} limits - Resource limits
+ * @returns {Object} - Run status, exit code, stdout and stderr
+ */
+function runProcess(language, sourceFile, workDir, input, limits) {
+  const spec = LANGUAGES[language];
+
+  // Apply kernel limits through the shell before exec'ing the interpreter
+  const ulimits = [
+    `ulimit -t ${limits.cpuTimeSeconds}`,
+    `ulimit -f ${Math.ceil(limits.outputBytes / 512)}`,
+    'ulimit -c 0'
+  ];
+  if (spec.limitAddressSpace) {
+    ulimits.push(`ulimit -v ${limits.memoryMb * 1024}`);
+  }
+
+  const command = [spec.command, ...spec.args(sourceFile, limits)].map(shellQuote).join(' ');
+
+  return new Promise((resolve) => {
+    // The environment is cleared so no configuration or credentials reach student code
+    const child = spawn('/bin/sh', ['-c', `${ulimits.join('; ')}; exec ${command}`], {
+      cwd: workDir,
+      env: {},
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      ...sandboxUser()
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let outputSize = 0;
+    let status = null;
+
+    // Kill the whole process group so grandchildren cannot outlive the run
+    const kill = (reason) => {
+      if (status) return;
+      status = reason;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Process already exited
+      }
+    };
+
+    const timer = setTimeout(() => kill('timeout'), limits.wallTimeMs);
+
+    const collect = (stream) => (chunk) => {
+      outputSize += chunk.length;
+      if (outputSize > limits.outputBytes) {
+        kill('output_limit_exceeded');
+        return;
+      }
+      if (stream === 'stdout') {
+        stdout += chunk.toString();
+      } else {
+        stderr += chunk.toString();
+      }
+    };
+
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ status: 'error', exitCode: null, stdout, stderr: error.message });
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+
+      // A background process can close its output and keep running; end it with the run
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Process group already gone
+      }
+
+      if (!status) {
+        if (signal === 'SIGXCPU' || signal === 'SIGKILL') {
+          status = 'timeout';
+        } else if (signal === 'SIGXFSZ') {
+          status = 'output_limit_exceeded';
+        } else if (exitCode !== 0) {
+          status = 'runtime_error';
+        } else {
+          status = 'completed';
+        }
+      }
+
+      resolve({ status, exitCode, stdout, stderr });
+    });
+
+    // Ignore EPIPE if the program exits without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(input === undefined || input === null ? '' : String(input));
+  });
+}
+
+/**
+ * Get the unprivileged user student code runs as
+ *
+ * Runners that start as root (self-hosted workers) set SANDBOX_UID and
+ * SANDBOX_GID; a Lambda sandbox already runs as an unprivileged user.
+ *
+ * @returns {Object|null} - Spawn options ({ uid, gid }), or null to keep the current user
+ */
+function sandboxUser() {
+  if (!process.env.SANDBOX_UID) {
+    return null;
+  }
+
+  const uid = Number(process.env.SANDBOX_UID);
+  return { uid, gid: Number(process.env.SANDBOX_GID || uid) };
+}
+
+/**
+ * Normalize program output for comparison
+ *
+ * @param {string} output - Raw output
+ * @returns {string} - Output with line endings and trailing whitespace normalized
+ */
+function normalizeOutput(output) {
+  return String(output === undefined || output === null ? '' : output)
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Truncate output to an excerpt
+ *
+ * @param {string} text - Text to truncate
+ * @returns {string} - Excerpt
+ */
+function excerpt(text) {
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}...` : text;
+}
+
+/**
+ * Quote a value for use in a shell command
+ *
+ * @param {string} value - Value to quote
+ * @returns {string} - Quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = {
+  isSupportedLanguage,
+  runInSandbox,
+  runTestCases
+};
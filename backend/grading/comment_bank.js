@@ -0,0 +1,68 @@
+/**
+ * GRANDMAS - Feedback Comment Bank
+ *
+ * This module fills in placeholders in saved feedback comments and combines
+ * them with a grader's own feedback.
+ */
+
+// Placeholders supported in comment text, with the student field they are filled from
+const PLACEHOLDERS = {
+  firstName: student => student.firstName,
+  lastName: student => student.lastName,
+  fullName: student => [student.firstName, student.lastName].filter(Boolean).join(' ')
+};
+
+/**
+ * Find placeholders in comment text that are not supported
+ *
+ * @param {string} text - Comment text
+ * @returns {Array} - Unknown placeholder names
+ */
+function unknownPlaceholders(text) {
+  const names = (String(text).match(/\{(\w+)\}/g) || []).map(match => match.slice(1, -1));
+  return [...new Set(names)].filter(name => !PLACEHOLDERS[name]);
+}
+
+/**
+ * Fill in a comment's placeholders for a student
+ *
+ * Unknown placeholders are left as written, and so is every placeholder when
+ * no student is given (e.g. while the student's identity is hidden).
+ *
+ * @param {string} text - Comment text (e.g. "Nice work, {firstName}!")
+ * @param {Object|null} student - Student ({ firstName, lastName })
+ * @returns {string} - Comment text for the student
+ */
+function renderComment(text, student) {
+  return String(text).replace(/\{(\w+)\}/g, (match, name) =>
+    PLACEHOLDERS[name] && student ? PLACEHOLDERS[name](student) || '' : match
+  );
+}
+
+/**
+ * Combine a grader's feedback with bank comments
+ *
+ * Comments are added after the grader's own text, one per paragraph, in the
+ * order they were picked. Their point adjustments are added up.
+ *
+ * @param {string} feedback - Grader's own feedback
+ * @param {Array} comments - Bank comments ({ text, pointAdjustment })
+ * @param {Object|null} student - Student the feedback is for ({ firstName, lastName })
+ * @returns {Object} - { feedback, pointAdjustment }
+ */
+function composeFeedback(feedback, comments, student) {
+  const paragraphs = [feedback, ...comments.map(comment => renderComment(comment.text, student))]
+    .map(text => (text || '').trim())
+    .filter(text => text.length > 0);
+
+  return {
+    feedback: paragraphs.join('\n\n'),
+    pointAdjustment: comments.reduce((sum, comment) => sum + (Number(comment.pointAdjustment) || 0), 0)
+  };
+}
+
+module.exports = {
+  unknownPlaceholders,
+  renderComment,
+  composeFeedback
+};
@@ -0,0 +1,121 @@
+/**
+ * GRANDMAS - Concept Matcher
+ *
+ * This module looks for teacher-defined concepts (with synonyms) in free-text
+ * answers and detects when a concept is mentioned only to be negated.
+ */
+
+// Words that negate a following concept ("is not photosynthesis")
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'neither', 'nor', 'without', 'cannot', 'nothing', 'nobody', 'lacks', 'lack'
+]);
+
+// Number of words before a concept checked for a negation
+const DEFAULT_NEGATION_WINDOW = 3;
+
+/**
+ * Split text into clauses of lower-cased words
+ *
+ * Negation does not carry across punctuation or "but", so each clause is kept separately.
+ *
+ * @param {string} text - Answer text
+ * @returns {Array} - Clauses, each a list of words
+ */
+function splitClauses(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[’‘]/g, '\'')
+    .split(/[.,;:!?()\n]+|\bbut\b|\bhowever\b/)
+    .map(clause => clause.match(/[\p{L}\p{N}']+/gu) || [])
+    .filter(words => words.length > 0);
+}
+
+/**
+ * Check whether a word negates what follows it
+ *
+ * @param {string} word - Lower-cased word
+ * @returns {boolean} - Whether the word is a negation
+ */
+function isNegation(word) {
+  return NEGATIONS.has(word) || word.endsWith('n\'t');
+}
+
+/**
+ * Find a term (one or more words) in a clause
+ *
+ * @param {Array} stems - Stemmed words of the clause
+ * @param {Array} termStems - Stemmed words of the term
+ * @param {number} fromIndex - Word to start searching at
+ * @returns {number} - Index of the first match, or -1
+ */
+function indexOfTerm(stems, termStems, fromIndex = 0) {
+  for (let i = fromIndex; i <= stems.length - termStems.length; i++) {
+    if (termStems.every((stem, offset) => stems[i + offset] === stem)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Look for each concept in an answer
+ *
+ * A concept counts as covered when its name or one of its synonyms appears
+ * without a negation in the few words before it, in the same clause.
+ *
+ * @param {string} text - Answer text
+ * @param {Array} concepts - Concepts ({ name, synonyms, points })
+ * @param {Object} options - { stem, negationWindow }
+ * @returns {Array} - Result per concept ({ name, points, found, negated, matchedTerm })
+ */
+function matchConcepts(text, concepts, options = {}) {
+  const stem = options.stem || (word => word);
+  const window = options.negationWindow !== undefined ? options.negationWindow : DEFAULT_NEGATION_WINDOW;
+
+  const clauses = splitClauses(text).map(words => ({
+    words,
+    stems: words.map(word => stem(word.replace(/'s$/, '')))
+  }));
+
+  return concepts.map(concept => {
+    const terms = [concept.name, ...(concept.synonyms || [])];
+    let matchedTerm = null;
+    let negated = false;
+
+    for (const term of terms) {
+      const termStems = (String(term).toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).map(word => stem(word));
+      if (termStems.length === 0) continue;
+
+      for (const clause of clauses) {
+        // A term can appear negated and then again without a negation in the same clause
+        for (let index = indexOfTerm(clause.stems, termStems); index !== -1;
+          index = indexOfTerm(clause.stems, termStems, index + 1)) {
+          const before = clause.words.slice(Math.max(0, index - window), index);
+          if (before.some(isNegation)) {
+            negated = true;
+            continue;
+          }
+
+          matchedTerm = term;
+          break;
+        }
+
+        if (matchedTerm) break;
+      }
+
+      if (matchedTerm) break;
+    }
+
+    return {
+      name: concept.name,
+      points: Number(concept.points) || 0,
+      found: matchedTerm !== null,
+      negated: matchedTerm === null && negated,
+      matchedTerm
+    };
+  });
+}
+
+module.exports = {
+  matchConcepts
+};
@@ -0,0 +1,173 @@
+/**
+ * GRANDMAS - Double Marking
+ *
+ * This module reconciles the independent marks of two graders and measures
+ * how well graders agree with each other.
+ */
+
+/**
+ * Check whether a question of an assignment is double marked
+ *
+ * @param {Object|null} config - Assignment double marking settings ({ questionIds, threshold })
+ * @param {number} questionId - Question ID
+ * @returns {boolean} - Whether the question needs two independent marks
+ */
+function isDoubleMarked(config, questionId) {
+  return Boolean(config) && Array.isArray(config.questionIds) &&
+    config.questionIds.some(id => String(id) === String(questionId));
+}
+
+/**
+ * Round a score or statistic
+ *
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Number of decimals
+ * @returns {number|null} - Rounded value
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return value === null || Number.isNaN(value) ? null : Math.round(value * factor) / factor;
+}
+
+/**
+ * Decide what happens to a response after a mark is recorded
+ *
+ * Two marks within the threshold of each other agree and the response gets
+ * their average. Marks further apart go to a moderator.
+ *
+ * @param {Array} marks - Independent marks ({ graderId, score })
+ * @param {number} threshold - Largest difference in points that still counts as agreement
+ * @returns {Object} - { status: 'awaiting_second_mark' | 'agreed' | 'needs_moderation', score, difference }
+ */
+function reconcileMarks(marks, threshold) {
+  if (marks.length < 2) {
+    return { status: 'awaiting_second_mark', score: null, difference: null };
+  }
+
+  const [first, second] = marks.map(mark => Number(mark.score));
+  const difference = round(Math.abs(first - second), 2);
+
+  if (difference <= Number(threshold)) {
+    return { status: 'agreed', score: round((first + second) / 2, 2), difference };
+  }
+
+  return { status: 'needs_moderation', score: null, difference };
+}
+
+/**
+ * Mean of a list of numbers
+ *
+ * @param {Array} values - Numbers
+ * @returns {number|null} - Mean, or null for an empty list
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Pearson correlation of two equally long lists
+ *
+ * @param {Array} x - First list
+ * @param {Array} y - Second list
+ * @returns {number|null} - Correlation, or null without enough data or variance
+ */
+function correlation(x, y) {
+  if (x.length < 2) {
+    return null;
+  }
+
+  const meanX = mean(x);
+  const meanY = mean(y);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < x.length; i++) {
+    covariance += (x[i] - meanX) * (y[i] - meanY);
+    varianceX += (x[i] - meanX) ** 2;
+    varianceY += (y[i] - meanY) ** 2;
+  }
+
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Summarize agreement over a set of mark pairs
+ *
+ * @param {Array} pairs - Pairs ({ own, other, final })
+ * @param {number} threshold - Agreement threshold in points
+ * @returns {Object} - Agreement statistics
+ */
+function summarize(pairs, threshold) {
+  const differences = pairs.map(pair => pair.own - pair.other);
+  const finals = pairs.filter(pair => pair.final !== null);
+
+  return {
+    responses: pairs.length,
+    exactAgreement: round(mean(differences.map(difference => (difference === 0 ? 1 : 0))), 3),
+    withinThreshold: round(mean(differences.map(difference => (Math.abs(difference) <= threshold ? 1 : 0))), 3),
+    meanAbsoluteDifference: round(mean(differences.map(Math.abs)), 2),
+    correlation: round(correlation(pairs.map(pair => pair.own), pairs.map(pair => pair.other)), 3),
+    // Positive when this grader marks higher than the final mark
+    meanDifferenceFromFinal: round(mean(finals.map(pair => pair.own - pair.final)), 2)
+  };
+}
+
+/**
+ * Measure inter-rater agreement for double-marked responses
+ *
+ * Each grader is compared with whoever marked the same responses alongside
+ * them, and with the final (agreed or moderated) mark.
+ *
+ * @param {Array} responses - Responses with two marks ({ responseId, marks: [{ graderId, score }], finalScore, moderated })
+ * @param {number} threshold - Agreement threshold in points
+ * @returns {Object} - { overall, graders }
+ */
+function analyzeAgreement(responses, threshold) {
+  const complete = responses.filter(response => response.marks.length === 2);
+  const graders = new Map();
+
+  for (const response of complete) {
+    const final = response.finalScore === null || response.finalScore === undefined ? null : Number(response.finalScore);
+
+    response.marks.forEach((mark, index) => {
+      const other = response.marks[1 - index];
+      if (!graders.has(String(mark.graderId))) {
+        graders.set(String(mark.graderId), { graderId: mark.graderId, pairs: [], moderated: 0 });
+      }
+
+      const grader = graders.get(String(mark.graderId));
+      grader.pairs.push({ own: Number(mark.score), other: Number(other.score), final });
+      if (response.moderated) {
+        grader.moderated++;
+      }
+    });
+  }
+
+  const overall = summarize(
+    complete.map(response => ({
+      own: Number(response.marks[0].score),
+      other: Number(response.marks[1].score),
+      final: null
+    })),
+    threshold
+  );
+  delete overall.meanDifferenceFromFinal;
+
+  return {
+    overall: {
+      ...overall,
+      moderated: complete.filter(response => response.moderated).length
+    },
+    graders: [...graders.values()].map(grader => ({
+      graderId: grader.graderId,
+      ...summarize(grader.pairs, threshold),
+      moderated: grader.moderated
+    }))
+  };
+}
+
+module.exports = {
+  isDoubleMarked,
+  reconcileMarks,
+  analyzeAgreement
+};
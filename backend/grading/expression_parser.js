@@ -0,0 +1,666 @@
+/**
+ * GRANDMAS - Expression Parser
+ *
+ * This module parses mathematical expressions and decides whether two expressions
+ * are equivalent, using polynomial normalization where possible and randomized
+ * numeric evaluation otherwise.
+ */
+
+// Functions that may appear in expressions
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10
+};
+
+// Named constants (a declared variable with the same name takes precedence)
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Default range and count for randomized numeric evaluation
+const DEFAULT_RANGE = { min: -10, max: 10 };
+const DEFAULT_SAMPLES = 20;
+
+// Highest integer power expanded symbolically
+const MAX_EXPANDED_POWER = 20;
+
+// Limits on the expanded polynomial; larger expressions are compared numerically
+const MAX_EXPANDED_DEGREE = 40;
+const MAX_EXPANDED_TERMS = 200;
+
+/**
+ * Raised when an expression would expand past the polynomial limits
+ */
+class ExpansionLimitError extends Error {}
+
+/**
+ * Parse an expression into an abstract syntax tree
+ *
+ * @param {string} input - Expression text, e.g. "2(x+1)^2"
+ * @param {Array} variables - Declared variable names (optional)
+ * @returns {Object} - Expression tree
+ */
+function parseExpression(input, variables = []) {
+  const tokens = tokenize(String(input), variables);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new Error(`Expected "${type}" in expression`);
+    }
+    return token;
+  };
+
+  // expression := term (("+" | "-") term)*
+  const parseSum = () => {
+    let node = parseProduct();
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  // term := unary (("*" | "/")? unary)*, where a missing operator is implicit multiplication
+  const parseProduct = () => {
+    let node = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (token && (token.type === '*' || token.type === '/')) {
+        next();
+        node = { type: 'binary', op: token.type, left: node, right: parseUnary() };
+      } else if (token && ['number', 'identifier', 'function', '('].includes(token.type)) {
+        node = { type: 'binary', op: '*', left: node, right: parsePower() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  // unary := ("-" | "+") unary | power
+  const parseUnary = () => {
+    const token = peek();
+    if (token && (token.type === '-' || token.type === '+')) {
+      next();
+      const arg = parseUnary();
+      return token.type === '-' ? { type: 'negate', arg } : arg;
+    }
+    return parsePower();
+  };
+
+  // power := primary ("^" unary)?
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() && peek().type === '^') {
+      next();
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value };
+
+      case 'identifier':
+        if (!variables.includes(token.value) && CONSTANTS[token.value] !== undefined) {
+          return { type: 'number', value: CONSTANTS[token.value], name: token.value };
+        }
+        return { type: 'variable', name: token.value };
+
+      case 'function': {
+        // Parentheses are optional for a single factor, e.g. "sin x"
+        if (peek() && peek().type !== '(') {
+          return { type: 'function', name: token.value, arg: parsePower() };
+        }
+        expect('(');
+        const arg = parseSum();
+        expect(')');
+        return { type: 'function', name: token.value, arg };
+      }
+
+      case '(': {
+        const inner = parseSum();
+        expect(')');
+        return { type: 'group', arg: inner };
+      }
+
+      default:
+        throw new Error(`Unexpected "${token.type}" in expression`);
+    }
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Expression is empty');
+  }
+
+  const tree = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().type}" in expression`);
+  }
+
+  return tree;
+}
+
+/**
+ * Split expression text into tokens
+ *
+ * @param {string} input - Expression text
+ * @param {Array} variables - Declared variable names
+ * @returns {Array} - Tokens
+ */
+function tokenize(input, variables) {
+  const text = input
+    .replace(/\*\*/g, '^')
+    .replace(/[×·]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/π/g, 'pi')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3');
+
+  // Longest names first so "asin" is not read as "a" followed by "sin"
+  const names = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS), ...variables]
+    .sort((a, b) => b.length - a.length);
+
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      if (!match) {
+        throw new Error(`Invalid number at position ${i}`);
+      }
+      tokens.push({ type: 'number', value: parseFloat(match[0]) });
+      i += match[0].length;
+    } else if (/[a-zA-Z]/.test(char)) {
+      // Read known names greedily, otherwise treat each letter as a variable ("xy" is x*y)
+      const rest = text.slice(i);
+      const name = names.find(candidate => rest.startsWith(candidate)) || char;
+      tokens.push({ type: FUNCTIONS[name] && !variables.includes(name) ? 'function' : 'identifier', value: name });
+      i += name.length;
+    } else if ('+-*/^()'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '[' || char === '{') {
+      tokens.push({ type: '(' });
+      i++;
+    } else if (char === ']' || char === '}') {
+      tokens.push({ type: ')' });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${char}" in expression`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate an expression tree numerically
+ *
+ * @param {Object} node - Expression tree
+ * @param {Object} values - Variable values by name
+ * @returns {number} - Result
+ */
+function evaluate(node, values) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      if (values[node.name] === undefined) {
+        throw new Error(`Unknown variable "${node.name}"`);
+      }
+      return values[node.name];
+    case 'group':
+      return evaluate(node.arg, values);
+    case 'negate':
+      return -evaluate(node.arg, values);
+    case 'function':
+      return FUNCTIONS[node.name](evaluate(node.arg, values));
+    case 'binary': {
+      const left = evaluate(node.left, values);
+      const right = evaluate(node.right, values);
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '^': return Math.pow(left, right);
+      }
+    }
+  }
+  throw new Error('Invalid expression');
+}
+
+/**
+ * Collect the variable names used in an expression tree
+ *
+ * @param {Object} node - Expression tree
+ * @param {Set} names - Accumulated names
+ * @returns {Set} - Variable names
+ */
+function collectVariables(node, names = new Set()) {
+  if (node.type === 'variable') {
+    names.add(node.name);
+  } else if (node.type === 'binary') {
+    collectVariables(node.left, names);
+    collectVariables(node.right, names);
+  } else if (node.arg) {
+    collectVariables(node.arg, names);
+  }
+  return names;
+}
+
+/**
+ * Convert an expression tree to a polynomial in normal form
+ *
+ * Polynomials are maps from a monomial key (e.g. "x^2*y") to its coefficient.
+ *
+ * @param {Object} node - Expression tree
+ * @returns {Map|null} - Polynomial, or null if the expression is not a polynomial
+ */
+function toPolynomial(node) {
+  switch (node.type) {
+    case 'number':
+      return polynomialOf([['', node.value]]);
+    case 'variable':
+      return polynomialOf([[node.name, 1]]);
+    case 'group':
+      return toPolynomial(node.arg);
+    case 'negate': {
+      const arg = toPolynomial(node.arg);
+      return arg && scalePolynomial(arg, -1);
+    }
+    case 'binary': {
+      const left = toPolynomial(node.left);
+      const right = toPolynomial(node.right);
+      if (!left || !right) {
+        return null;
+      }
+
+      switch (node.op) {
+        case '+':
+          return addPolynomials(left, right);
+        case '-':
+          return addPolynomials(left, scalePolynomial(right, -1));
+        case '*':
+          return multiplyPolynomials(left, right);
+        case '/': {
+          const divisor = constantValue(right);
+          return divisor === null || divisor === 0 ? null : scalePolynomial(left, 1 / divisor);
+        }
+        case '^': {
+          const exponent = constantValue(right);
+          if (exponent === null || !Number.isInteger(exponent) || exponent < 0 || exponent > MAX_EXPANDED_POWER) {
+            return null;
+          }
+          // Nested powers multiply degrees, so check before expanding
+          if (polynomialDegree(left) * exponent > MAX_EXPANDED_DEGREE) {
+            throw new ExpansionLimitError('Expression is too large to expand');
+          }
+          let result = polynomialOf([['', 1]]);
+          for (let i = 0; i < exponent; i++) {
+            result = multiplyPolynomials(result, left);
+          }
+          return result;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert an expression tree to a polynomial, unless it is too large to expand
+ *
+ * @param {Object} node - Expression tree
+ * @returns {Map|null} - Polynomial, or null if the expression is not a polynomial or is too large
+ */
+function expandPolynomial(node) {
+  try {
+    return toPolynomial(node);
+  } catch (error) {
+    if (error instanceof ExpansionLimitError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function polynomialDegree(polynomial) {
+  let degree = 0;
+  for (const key of polynomial.keys()) {
+    const monomialDegree = key.split('*').filter(Boolean)
+      .reduce((sum, factor) => sum + (factor.includes('^') ? parseInt(factor.split('^')[1], 10) : 1), 0);
+    degree = Math.max(degree, monomialDegree);
+  }
+  return degree;
+}
+
+function polynomialOf(entries) {
+  return new Map(entries.filter(([, coefficient]) => coefficient !== 0));
+}
+
+function constantValue(polynomial) {
+  if (polynomial.size === 0) return 0;
+  if (polynomial.size === 1 && polynomial.has('')) return polynomial.get('');
+  return null;
+}
+
+function scalePolynomial(polynomial, factor) {
+  return polynomialOf([...polynomial].map(([key, coefficient]) => [key, coefficient * factor]));
+}
+
+function addPolynomials(a, b) {
+  const result = new Map(a);
+  for (const [key, coefficient] of b) {
+    result.set(key, (result.get(key) || 0) + coefficient);
+  }
+  return polynomialOf([...result]);
+}
+
+function multiplyPolynomials(a, b) {
+  if (a.size * b.size > MAX_EXPANDED_TERMS * MAX_EXPANDED_TERMS ||
+      polynomialDegree(a) + polynomialDegree(b) > MAX_EXPANDED_DEGREE) {
+    throw new ExpansionLimitError('Expression is too large to expand');
+  }
+
+  const result = new Map();
+  for (const [keyA, coefficientA] of a) {
+    for (const [keyB, coefficientB] of b) {
+      const key = multiplyMonomials(keyA, keyB);
+      result.set(key, (result.get(key) || 0) + coefficientA * coefficientB);
+    }
+  }
+  if (result.size > MAX_EXPANDED_TERMS) {
+    throw new ExpansionLimitError('Expression is too large to expand');
+  }
+  return polynomialOf([...result]);
+}
+
+function multiplyMonomials(keyA, keyB) {
+  const powers = {};
+  for (const factor of [...keyA.split('*'), ...keyB.split('*')].filter(Boolean)) {
+    const [name, power] = factor.split('^');
+    powers[name] = (powers[name] || 0) + (power ? parseInt(power, 10) : 1);
+  }
+  return Object.keys(powers).sort()
+    .map(name => (powers[name] === 1 ? name : `${name}^${powers[name]}`))
+    .join('*');
+}
+
+/**
+ * Compare two polynomials coefficient by coefficient
+ *
+ * @param {Map} a - First polynomial
+ * @param {Map} b - Second polynomial
+ * @returns {boolean} - Whether the polynomials are equal
+ */
+function polynomialsEqual(a, b) {
+  const keys = new Set([...a.keys(), ...b.keys()]);
+  for (const key of keys) {
+    if (!numbersClose(a.get(key) || 0, b.get(key) || 0)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function numbersClose(a, b) {
+  return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Check whether an expression is written in a required form
+ *
+ * @param {Object} tree - Student expression tree
+ * @param {string} form - "expanded", "factored" or "simplified"
+ * @param {Object} referenceTree - Correct answer expression tree
+ * @returns {boolean} - Whether the expression is in the required form
+ */
+function isInForm(tree, form, referenceTree) {
+  switch (form) {
+    case 'expanded':
+      return isExpanded(tree);
+
+    case 'factored':
+      // A factored expression is a product of factors, not a sum of terms
+      return isFactored(tree);
+
+    case 'simplified': {
+      const polynomial = expandPolynomial(tree);
+      if (polynomial) {
+        // No like terms or constant arithmetic left uncombined
+        return isExpanded(tree) && countTerms(tree) === Math.max(polynomial.size, 1);
+      }
+      return countNodes(tree) <= countNodes(referenceTree);
+    }
+
+    default:
+      return true;
+  }
+}
+
+function unwrap(node) {
+  return node.type === 'group' ? unwrap(node.arg) : node;
+}
+
+function isSum(node) {
+  return node.type === 'binary' && (node.op === '+' || node.op === '-');
+}
+
+// Constant factors and signs do not factor anything: 1*(2x^2+4x+2) and
+// -(-2x^2-4x-2) are still the whole polynomial
+function isFactored(node) {
+  const factors = variableFactors(node);
+  if (factors.length === 0) {
+    return !isSum(unwrap(node));
+  }
+  return !(factors.length === 1 && isSum(factors[0]));
+}
+
+function variableFactors(node) {
+  const inner = unwrap(node);
+  if (isConstant(inner)) {
+    return [];
+  }
+  if (inner.type === 'negate') {
+    return variableFactors(inner.arg);
+  }
+  if (inner.type === 'binary' && inner.op === '*') {
+    return [...variableFactors(inner.left), ...variableFactors(inner.right)];
+  }
+  if (inner.type === 'binary' && inner.op === '/' && isConstant(inner.right)) {
+    return variableFactors(inner.left);
+  }
+  if (inner.type === 'binary' && inner.op === '^' &&
+      collectVariables(inner.right).size === 0 && evaluate(inner.right, {}) === 1) {
+    return variableFactors(inner.left);
+  }
+  return [inner];
+}
+
+function isConstant(node) {
+  if (collectVariables(node).size === 0) {
+    return true;
+  }
+  const polynomial = expandPolynomial(node);
+  return Boolean(polynomial) && constantValue(polynomial) !== null;
+}
+
+function containsSum(node) {
+  const inner = unwrap(node);
+  if (isSum(inner)) return true;
+  if (inner.type === 'negate') return containsSum(inner.arg);
+  if (inner.type === 'binary') return containsSum(inner.left) || containsSum(inner.right);
+  return false;
+}
+
+function isExpanded(node) {
+  const inner = unwrap(node);
+  if (isSum(inner)) {
+    return isExpanded(inner.left) && isExpanded(inner.right);
+  }
+  if (inner.type === 'negate') {
+    return isExpanded(inner.arg);
+  }
+  if (inner.type === 'binary') {
+    return !containsSum(inner.left) && !containsSum(inner.right);
+  }
+  return true;
+}
+
+function countTerms(node) {
+  const inner = unwrap(node);
+  if (isSum(inner)) {
+    return countTerms(inner.left) + countTerms(inner.right);
+  }
+  if (inner.type === 'negate') {
+    return countTerms(inner.arg);
+  }
+  return 1;
+}
+
+function countNodes(node) {
+  if (node.type === 'binary') {
+    return 1 + countNodes(node.left) + countNodes(node.right);
+  }
+  if (node.type === 'group') {
+    return countNodes(node.arg);
+  }
+  return node.arg ? 1 + countNodes(node.arg) : 1;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ *
+ * A fixed seed keeps grading results reproducible between runs.
+ *
+ * @param {number} seed - Seed value
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalize declared variables to a map of name to sampling range
+ *
+ * @param {Array|Object} variables - Variable names, or ranges by name ({ x: { min, max } })
+ * @returns {Object} - Ranges by variable name
+ */
+function normalizeVariables(variables) {
+  if (Array.isArray(variables)) {
+    return Object.fromEntries(variables.map(name => [name, DEFAULT_RANGE]));
+  }
+  return Object.fromEntries(Object.entries(variables || {}).map(([name, range]) => [name, { ...DEFAULT_RANGE, ...range }]));
+}
+
+/**
+ * Decide whether a student expression is equivalent to the correct expression
+ *
+ * @param {string} studentInput - Student expression
+ * @param {string} correctInput - Correct expression
+ * @param {Object} options - { variables, requiredForm, samples, seed }
+ * @returns {Object} - { equivalent, inRequiredForm, method } or { error } if the student expression is invalid
+ */
+function checkEquivalence(studentInput, correctInput, options = {}) {
+  let ranges = normalizeVariables(options.variables);
+  let names = Object.keys(ranges);
+
+  // The correct answer defines the variables when none are declared
+  const correctTree = parseExpression(correctInput, names);
+  if (names.length === 0) {
+    ranges = normalizeVariables([...collectVariables(correctTree)]);
+    names = Object.keys(ranges);
+  }
+
+  let studentTree;
+  try {
+    studentTree = parseExpression(studentInput, names);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const unknown = [...collectVariables(studentTree)].filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown variable${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}` };
+  }
+
+  const inRequiredForm = isInForm(studentTree, options.requiredForm, correctTree);
+
+  // Symbolic comparison when both sides are polynomials
+  const studentPolynomial = expandPolynomial(studentTree);
+  const correctPolynomial = expandPolynomial(correctTree);
+  if (studentPolynomial && correctPolynomial) {
+    return {
+      equivalent: polynomialsEqual(studentPolynomial, correctPolynomial),
+      inRequiredForm,
+      method: 'symbolic'
+    };
+  }
+
+  // Otherwise compare values at random points where the correct answer is defined
+  const random = createRandom(options.seed || 1);
+  const samples = options.samples || DEFAULT_SAMPLES;
+  let compared = 0;
+
+  for (let attempt = 0; attempt < samples * 5 && compared < samples; attempt++) {
+    const values = {};
+    for (const name of names) {
+      const { min, max } = ranges[name];
+      values[name] = min + random() * (max - min);
+    }
+
+    const expected = evaluate(correctTree, values);
+    if (!Number.isFinite(expected)) {
+      continue;
+    }
+
+    const actual = evaluate(studentTree, values);
+    if (!Number.isFinite(actual) || Math.abs(actual - expected) > 1e-6 * Math.max(1, Math.abs(expected))) {
+      return { equivalent: false, inRequiredForm, method: 'numeric' };
+    }
+    compared++;
+  }
+
+  return { equivalent: compared > 0, inRequiredForm, method: 'numeric' };
+}
+
+module.exports = {
+  parseExpression,
+  evaluate,
+  checkEquivalence
+};
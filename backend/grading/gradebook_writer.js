@@ -0,0 +1,137 @@
+/**
+ * GRANDMAS - Gradebook Writer
+ *
+ * This module lays out course grades as a gradebook table and writes it as CSV or XLSX.
+ */
+
+const ExcelJS = require('exceljs');
+
+// Supported export formats
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Round a percentage for display
+ *
+ * @param {number|null} value - Percentage
+ * @returns {number|string} - Value rounded to 2 decimals, or an empty cell
+ */
+function formatPercentage(value) {
+  return value === null || value === undefined ? '' : Math.round(value * 100) / 100;
+}
+
+/**
+ * Build the gradebook table
+ *
+ * One row per student, with a column per assignment, a subtotal per category,
+ * the final percentage and the letter grade. Excused work is shown as "EX"
+ * and ungraded work as an empty cell.
+ *
+ * @param {Array} assignments - Assignment columns ({ assignmentId, title, totalPoints, categoryName })
+ * @param {Array} categories - Category columns ({ categoryId, name, weight })
+ * @param {Array} students - Students with their course grade ({ identifier, grade })
+ * @returns {Object} - { header, rows }
+ */
+function buildGradebook(assignments, categories, students) {
+  const header = [
+    'Student',
+    ...assignments.map(assignment => `${assignment.title} (${assignment.totalPoints})`),
+    ...categories.map(category => `${category.name} % (${category.weight}%)`),
+    'Final %',
+    'Letter Grade'
+  ];
+
+  const rows = students.map(({ identifier, grade }) => {
+    const categoryGrades = grade ? grade.categoryGrades : [];
+    const details = new Map();
+    for (const category of categoryGrades) {
+      for (const assignment of category.assignments) {
+        details.set(assignment.assignmentId, assignment);
+      }
+    }
+    const categoryPercentages = new Map(categoryGrades.map(category => [category.categoryId, category.percentage]));
+
+    return [
+      identifier,
+      ...assignments.map(assignment => {
+        const detail = details.get(assignment.assignmentId);
+        if (!detail) return '';
+        if (detail.status === 'excused') return 'EX';
+        return detail.graded ? detail.earnedPoints : '';
+      }),
+      ...categories.map(category => formatPercentage(categoryPercentages.get(category.categoryId))),
+      formatPercentage(grade ? grade.finalGrade : null),
+      grade && grade.letterGrade ? grade.letterGrade : ''
+    ];
+  });
+
+  return { header, rows };
+}
+
+/**
+ * Keep text cells from being read as formulas by spreadsheet programs
+ *
+ * Text starting with =, +, - or @ (e.g. an assignment title) gets a leading
+ * apostrophe. Numbers are left alone.
+ *
+ * @param {*} value - Cell value
+ * @returns {*} - Safe cell value
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Quote a CSV field when needed
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(escapeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a table as CSV
+ *
+ * A byte order mark is included so spreadsheet programs detect UTF-8 names.
+ *
+ * @param {Object} table - { header, rows }
+ * @returns {Buffer} - CSV file
+ */
+function toCsv(table) {
+  const lines = [table.header, ...table.rows].map(row => row.map(csvField).join(','));
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Write a table as an XLSX workbook
+ *
+ * @param {Object} table - { header, rows }
+ * @param {string} sheetName - Worksheet name
+ * @returns {Buffer} - XLSX file
+ */
+async function toXlsx(table, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  // Worksheet names are limited to 31 characters and may not contain []:*?/\
+  const worksheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, '-').slice(0, 31));
+
+  worksheet.addRow(table.header.map(escapeFormula)).font = { bold: true };
+  for (const row of table.rows) {
+    worksheet.addRow(row.map(escapeFormula));
+  }
+  worksheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+  worksheet.getColumn(1).width = 30;
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  FORMATS,
+  buildGradebook,
+  toCsv,
+  toXlsx
+};
@@ -8,6 +8,19 @@ const AWS = require('aws-sdk');
 const { Pool } = require('pg');
 const natural = require('natural');
 const stringSimilarity = require('string-similarity');
+const JSZip = require('jszip');
+const codeSandbox = require('./code_sandbox');
+const expressionParser = require('./expression_parser');
+const unitConverter = require('./unit_converter');
+const similarityDetector = require('./similarity_detector');
+const gradingScale = require('./grading_scale');
+const conceptMatcher = require('./concept_matcher');
+const itemAnalysis = require('./item_analysis');
+const gradebookWriter = require('./gradebook_writer');
+const reportCard = require('./report_card');
+const commentBank = require('./comment_bank');
+const anonymizer = require('./anonymizer');
+const doubleMarking = require('./double_marking');
 
 // Configure PostgreSQL connection
 const pool = new Pool({
@@ -21,10 +34,38 @@ const pool = new Pool({
   }
 });
 
+// Configure Lambda client for background grading jobs
+const lambda = new AWS.Lambda();
+
+// Configure S3 for exported files
+const s3 = new AWS.S3();
+
 // Initialize NLP tools
 const tokenizer = new natural.WordTokenizer();
 const stemmer = natural.PorterStemmer;
 
+// Report card formats and their content types
+const REPORT_CARD_FORMATS = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// Grading queue sort orders
+const GRADING_QUEUE_SORTS = {
+  oldest: 's.submitted_at, qr.response_id',
+  deadline: 'a.due_date ASC NULLS LAST, s.submitted_at, qr.response_id'
+};
+
+// Minutes before an unfinished claim on a response lapses
+const CLAIM_TIMEOUT_MINUTES = 30;
+
+// Grade history sources of scores given by a grader rather than an automatic grader
+const MANUAL_GRADE_SOURCES = ['manual_grade', 'rubric_grade', 'override', 'double_mark', 'moderation'];
+
+// Background jobs still queued or running after this long are reported as failed
+// (workers are stopped by Lambda after 15 minutes)
+const JOB_STALE_MINUTES = 20;
+
 /**
  * Grade a submission
  * 
@@ -70,125 +111,584 @@ exports.gradeSubmission = async (event) => {
       };
     }
     
-    // Get all questions and responses for this submission
-    const questionsResult = await pool.query(
-      `SELECT q.question_id, q.type_id, q.content, q.points, q.correct_answer, q.options, q.rubric,
+    const result = await autoGradeSubmission(submission);
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error('Error in gradeSubmission:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Start a background job that auto-grades every submission of an assignment
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with the job ID or error
+ */
+exports.bulkGradeAssignment = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const requestedBy = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, requestedBy]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can grade this assignment' })
+      };
+    }
+    
+    // Count submissions waiting to be graded
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total
+       FROM submissions
+       WHERE assignment_id = $1 AND status IN ('submitted', 'late')`,
+      [assignmentId]
+    );
+    
+    const totalSubmissions = parseInt(countResult.rows[0].total, 10);
+    
+    if (totalSubmissions === 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'No submissions waiting to be graded' })
+      };
+    }
+    
+    const jobResult = await pool.query(
+      `INSERT INTO grading_jobs (assignment_id, total_submissions, created_by)
+       VALUES ($1, $2, $3)
+       RETURNING job_id`,
+      [assignmentId, totalSubmissions, requestedBy]
+    );
+    
+    const jobId = jobResult.rows[0].job_id;
+    
+    // Hand the job to the worker function without waiting for it
+    try {
+      await lambda.invoke({
+        FunctionName: process.env.GRADING_WORKER_FUNCTION,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({ jobId })
+      }).promise();
+    } catch (error) {
+      await pool.query(
+        `UPDATE grading_jobs
+         SET status = 'failed', completed_at = CURRENT_TIMESTAMP, summary = $1
+         WHERE job_id = $2`,
+        [{ error: 'Grading worker could not be started' }, jobId]
+      );
+      throw error;
+    }
+    
+    return {
+      statusCode: 202,
+      body: JSON.stringify({
+        message: 'Grading job started',
+        jobId,
+        totalSubmissions
+      })
+    };
+  } catch (error) {
+    console.error('Error in bulkGradeAssignment:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Process a bulk grading job (invoked asynchronously by bulkGradeAssignment)
+ * 
+ * @param {Object} event - Invocation payload with jobId
+ */
+exports.processGradingJob = async (event) => {
+  const { jobId } = event;
+  
+  try {
+    const jobResult = await pool.query(
+      `UPDATE grading_jobs
+       SET status = 'running', started_at = CURRENT_TIMESTAMP
+       WHERE job_id = $1 AND status = 'queued'
+       RETURNING assignment_id`,
+      [jobId]
+    );
+    
+    // Already picked up by another invocation
+    if (jobResult.rows.length === 0) {
+      return;
+    }
+    
+    const submissionsResult = await pool.query(
+      `SELECT s.submission_id, s.assignment_id, s.student_id, s.status,
+              a.total_points, a.is_anonymous, a.anonymous_key, a.deanonymized_at
+       FROM submissions s
+       JOIN assignments a ON s.assignment_id = a.assignment_id
+       WHERE s.assignment_id = $1 AND s.status IN ('submitted', 'late')
+       ORDER BY s.submission_id`,
+      [jobResult.rows[0].assignment_id]
+    );
+    
+    let processed = 0;
+    let graded = 0;
+    const manualGrading = [];
+    const errors = [];
+    
+    // Grade submissions one at a time so a failure only affects that submission
+    for (const submission of submissionsResult.rows) {
+      try {
+        const result = await autoGradeSubmission(submission);
+        
+        if (result.needsManualGrading) {
+          manualGrading.push({
+            submissionId: submission.submission_id,
+            ...anonymizedStudent(submission, submission),
+            questions: result.gradingResults.filter(item => item.needsManualGrading).map(item => item.questionId)
+          });
+        } else {
+          graded++;
+        }
+      } catch (error) {
+        console.error(`Error grading submission ${submission.submission_id}:`, error);
+        errors.push({ submissionId: submission.submission_id, message: error.message });
+      }
+      
+      processed++;
+      await pool.query(
+        `UPDATE grading_jobs
+         SET processed_submissions = $1, failed_submissions = $2
+         WHERE job_id = $3`,
+        [processed, errors.length, jobId]
+      );
+    }
+    
+    await pool.query(
+      `UPDATE grading_jobs
+       SET status = 'completed', total_submissions = $1, completed_at = CURRENT_TIMESTAMP,
+           summary = $2
+       WHERE job_id = $3`,
+      [
+        submissionsResult.rows.length,
+        {
+          fullyGraded: graded,
+          needsManualGrading: manualGrading.length,
+          failed: errors.length,
+          manualGrading,
+          errors
+        },
+        jobId
+      ]
+    );
+  } catch (error) {
+    console.error('Error in processGradingJob:', error);
+    try {
+      await pool.query(
+        `UPDATE grading_jobs
+         SET status = 'failed', completed_at = CURRENT_TIMESTAMP, summary = $1
+         WHERE job_id = $2`,
+        [{ error: error.message }, jobId]
+      );
+    } catch (updateError) {
+      console.error(`Error marking grading job ${jobId} failed:`, updateError);
+    }
+  }
+};
+
+/**
+ * Get the progress and summary of a bulk grading job
+ * 
+ * A job still queued or running after JOB_STALE_MINUTES is marked failed,
+ * since its worker was lost or stopped.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with job status or error
+ */
+exports.getGradingJob = async (event) => {
+  try {
+    const { jobId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const accessResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM grading_jobs gj
+       JOIN assignments a ON gj.assignment_id = a.assignment_id
+       WHERE gj.job_id = $1`,
+      [jobId, userId]
+    );
+    
+    if (accessResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Grading job not found' })
+      };
+    }
+    
+    const access = accessResult.rows[0];
+    
+    if (!access.is_course_teacher && access.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can view this grading job' })
+      };
+    }
+    
+    await pool.query(
+      `UPDATE grading_jobs
+       SET status = 'failed', completed_at = CURRENT_TIMESTAMP, summary = $1
+       WHERE job_id = $2 AND status IN ('queued', 'running')
+         AND COALESCE(started_at, created_at) < CURRENT_TIMESTAMP - make_interval(mins => $3)`,
+      [{ error: `Job did not finish within ${JOB_STALE_MINUTES} minutes` }, jobId, JOB_STALE_MINUTES]
+    );
+    
+    const result = await pool.query(
+      `SELECT job_id, assignment_id, status, total_submissions, processed_submissions,
+              failed_submissions, summary, created_at, started_at, completed_at
+       FROM grading_jobs
+       WHERE job_id = $1`,
+      [jobId]
+    );
+    
+    if (result.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Grading job not found' })
+      };
+    }
+    
+    const job = result.rows[0];
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        ...job,
+        progress: job.total_submissions > 0
+          ? Math.round((job.processed_submissions / job.total_submissions) * 100)
+          : 100
+      })
+    };
+  } catch (error) {
+    console.error('Error in getGradingJob:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Run the automatic graders on every question of a submission
+ * 
+ * @param {Object} submission - Submission row (submission_id, assignment_id, total_points)
+ * @returns {Object} - Grading results
+ */
+async function autoGradeSubmission(submission) {
+  // Get all questions and responses for this submission
+  const questionsResult = await pool.query(
+    `SELECT q.question_id, q.type_id, q.content, q.points, q.correct_answer, q.options, q.rubric, q.metadata,
+            qt.name as question_type, qt.grading_method,
+            qr.response_id, qr.response_data
+     FROM questions q
+     JOIN question_types qt ON q.type_id = qt.type_id
+     LEFT JOIN question_responses qr ON q.question_id = qr.question_id AND qr.submission_id = $1
+     WHERE q.assignment_id = $2
+     ORDER BY q.order_num`,
+    [submission.submission_id, submission.assignment_id]
+  );
+  
+  const questions = questionsResult.rows;
+  
+  // Grade each question
+  let totalScore = 0;
+  const gradingResults = [];
+  
+  for (const question of questions) {
+    // Skip if no response
+    if (!question.response_id) {
+      gradingResults.push({
+        questionId: question.question_id,
+        responseId: null,
+        score: 0,
+        feedback: 'No response provided',
+        needsManualGrading: false
+      });
+      continue;
+    }
+    
+    // Grade based on question type
+    const { score, feedback, needsManualGrading, details } = await gradeQuestion(question);
+    
+    // Update question response with score and feedback
+    if (!needsManualGrading) {
+      await saveResponseScore(pool, question.response_id, { score, feedback, details }, { source: 'auto_grade' });
+      
+      totalScore += score;
+    }
+    
+    gradingResults.push({
+      questionId: question.question_id,
+      responseId: question.response_id,
+      score,
+      feedback,
+      needsManualGrading,
+      details
+    });
+  }
+  
+  // Check if all questions are graded automatically
+  const needsManualGrading = gradingResults.some(result => result.needsManualGrading);
+  
+  // Update submission status and score if fully graded, otherwise flag late work awaiting grading
+  let finalScore = { rawScore: totalScore, latePenalty: 0, totalScore, isLate: false };
+  if (!needsManualGrading) {
+    finalScore = await finalizeSubmissionScore(pool, submission.submission_id, totalScore, null, { source: 'auto_grade' });
+  } else {
+    const { lateness } = await getSubmissionLateness(pool, submission.submission_id);
+    if (lateness.isLate) {
+      await pool.query(
+        `UPDATE submissions SET status = 'late', is_late = TRUE WHERE submission_id = $1 AND status = 'submitted'`,
+        [submission.submission_id]
+      );
+    }
+    finalScore.isLate = lateness.isLate;
+  }
+  
+  return {
+    submissionId: submission.submission_id,
+    rawScore: finalScore.rawScore,
+    latePenalty: finalScore.latePenalty,
+    totalScore: finalScore.totalScore,
+    isLate: finalScore.isLate,
+    maxPoints: submission.total_points,
+    needsManualGrading,
+    gradingResults
+  };
+}
+
+/**
+ * Regrade responses after an answer key change
+ * 
+ * Re-runs the automatic graders for every response to a question or to a whole
+ * assignment. Responses whose latest grade history entry came from a grader keep
+ * their scores unless overwriteManual is set. Responses the automatic graders
+ * cannot score are listed for manual grading. With dryRun, nothing is written
+ * and only the preview is returned.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with before/after scores per student or error
+ */
+exports.regradeResponses = async (event) => {
+  try {
+    const { questionId, assignmentId, overwriteManual = false, dryRun = false, reason } = JSON.parse(event.body);
+    const graderId = event.requestContext.authorizer.claims.sub;
+    
+    // Validate input
+    if (!questionId && !assignmentId) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Question ID or assignment ID is required' })
+      };
+    }
+    
+    const accessResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE ${questionId
+         ? 'a.assignment_id = (SELECT assignment_id FROM questions WHERE question_id = $1)'
+         : 'a.assignment_id = $1'}`,
+      [questionId || assignmentId, graderId]
+    );
+    
+    if (accessResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: questionId ? 'Question not found' : 'Assignment not found' })
+      };
+    }
+    
+    const access = accessResult.rows[0];
+    
+    if (!access.is_course_teacher && access.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can regrade these responses' })
+      };
+    }
+    
+    // Get every submitted response to the affected questions
+    const responsesResult = await pool.query(
+      `SELECT q.question_id, q.type_id, q.content, q.points, q.correct_answer, q.options, q.rubric, q.metadata,
               qt.name as question_type, qt.grading_method,
-              qr.response_id, qr.response_data
-       FROM questions q
+              qr.response_id, qr.response_data, qr.score AS current_score,
+              (SELECT gh.source FROM grade_history gh
+               WHERE gh.response_id = qr.response_id
+               ORDER BY gh.changed_at DESC, gh.history_id DESC
+               LIMIT 1) AS last_grade_source,
+              s.submission_id, s.student_id, s.status, s.total_score,
+              a.is_anonymous, a.anonymous_key, a.deanonymized_at
+       FROM question_responses qr
+       JOIN questions q ON qr.question_id = q.question_id
        JOIN question_types qt ON q.type_id = qt.type_id
-       LEFT JOIN question_responses qr ON q.question_id = qr.question_id AND qr.submission_id = $1
-       WHERE q.assignment_id = $2
-       ORDER BY q.order_num`,
-      [submissionId, submission.assignment_id]
+       JOIN submissions s ON qr.submission_id = s.submission_id
+       JOIN assignments a ON s.assignment_id = a.assignment_id
+       WHERE ${questionId ? 'q.question_id = $1' : 'q.assignment_id = $1'} AND s.status <> 'draft'
+       ORDER BY s.submission_id, q.order_num`,
+      [questionId || assignmentId]
     );
     
-    const questions = questionsResult.rows;
+    // Regrade each response and group the changes by submission
+    const submissions = new Map();
+    const needsManualGrading = [];
+    let skippedManual = 0;
     
-    // Grade each question
-    let totalScore = 0;
-    const gradingResults = [];
-    
-    for (const question of questions) {
-      // Skip if no response
-      if (!question.response_id) {
-        gradingResults.push({
-          questionId: question.question_id,
-          responseId: null,
-          score: 0,
-          feedback: 'No response provided',
-          needsManualGrading: false
+    for (const response of responsesResult.rows) {
+      if (!submissions.has(response.submission_id)) {
+        submissions.set(response.submission_id, {
+          submissionId: response.submission_id,
+          ...anonymizedStudent(response, response),
+          status: response.status,
+          before: response.total_score === null ? null : Number(response.total_score),
+          after: response.total_score === null ? null : Number(response.total_score),
+          changes: []
         });
+      }
+      
+      // Keep scores a grader gave by hand
+      if (MANUAL_GRADE_SOURCES.includes(response.last_grade_source) && !overwriteManual) {
+        skippedManual++;
         continue;
       }
       
-      let score = 0;
-      let feedback = '';
-      let needsManualGrading = false;
+      const graded = await gradeQuestion(response);
+      const { score, feedback, details } = graded;
+      const oldScore = response.current_score === null ? null : Number(response.current_score);
       
-      // Grade based on question type
-      switch (question.question_type) {
-        case 'true_false':
-        case 'multiple_choice':
-          ({ score, feedback } = gradeMultipleChoice(question));
-          break;
-          
-        case 'multiple_answer':
-          ({ score, feedback } = gradeMultipleAnswer(question));
-          break;
-          
-        case 'matching':
-          ({ score, feedback } = gradeMatching(question));
-          break;
-          
-        case 'fill_in_blank':
-          ({ score, feedback, needsManualGrading } = gradeFillInBlank(question));
-          break;
-          
-        case 'short_answer':
-          ({ score, feedback, needsManualGrading } = gradeShortAnswer(question));
-          break;
-          
-        case 'computational':
-          ({ score, feedback, needsManualGrading } = gradeComputational(question));
-          break;
-          
-        case 'coding':
-          ({ score, feedback, needsManualGrading } = gradeCoding(question));
-          break;
-          
-        default:
-          // Essay, diagram, oral questions need manual grading
-          needsManualGrading = true;
-          feedback = 'This question type requires manual grading';
-      }
-      
-      // Update question response with score and feedback
-      if (!needsManualGrading) {
-        await pool.query(
-          `UPDATE question_responses
-           SET score = $1, feedback = $2, graded_at = CURRENT_TIMESTAMP
-           WHERE response_id = $3`,
-          [score, feedback, question.response_id]
-        );
-        
-        totalScore += score;
+      if (graded.needsManualGrading) {
+        needsManualGrading.push({
+          submissionId: response.submission_id,
+          ...anonymizedStudent(response, response),
+          questionId: response.question_id,
+          responseId: response.response_id,
+          currentScore: oldScore
+        });
+        continue;
       }
       
-      gradingResults.push({
-        questionId: question.question_id,
-        responseId: question.response_id,
-        score,
+      if (score === oldScore) {
+        continue;
+      }
+      
+      const submission = submissions.get(response.submission_id);
+      if (submission.after !== null) {
+        submission.after = Math.round((submission.after + score - (oldScore || 0)) * 100) / 100;
+      }
+      submission.changes.push({
+        questionId: response.question_id,
+        responseId: response.response_id,
+        oldScore,
+        newScore: score,
         feedback,
-        needsManualGrading
+        details
       });
     }
     
-    // Check if all questions are graded automatically
-    const needsManualGrading = gradingResults.some(result => result.needsManualGrading);
+    const affected = [...submissions.values()].filter(submission => submission.changes.length > 0);
     
-    // Update submission status and score if fully graded
-    if (!needsManualGrading) {
-      await pool.query(
-        `UPDATE submissions
-         SET status = 'graded', total_score = $1, graded_at = CURRENT_TIMESTAMP
-         WHERE submission_id = $2`,
-        [totalScore, submissionId]
-      );
+    // Apply the changes in a single transaction
+    if (!dryRun && affected.length > 0) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        
+        for (const submission of affected) {
+          for (const change of submission.changes) {
+            await saveResponseScore(
+              client,
+              change.responseId,
+              { score: change.newScore, feedback: change.feedback, details: change.details },
+              { source: 'regrade', changedBy: graderId, reason }
+            );
+          }
+          
+          // Only graded submissions carry a total score
+          if (submission.status === 'graded') {
+            const rawResult = await client.query(
+              'SELECT COALESCE(SUM(score), 0) AS raw_score FROM question_responses WHERE submission_id = $1',
+              [submission.submissionId]
+            );
+            await finalizeSubmissionScore(
+              client,
+              submission.submissionId,
+              Number(rawResult.rows[0].raw_score),
+              graderId,
+              { source: 'regrade', reason }
+            );
+          }
+        }
+        
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
     }
     
     return {
       statusCode: 200,
       body: JSON.stringify({
-        submissionId,
-        totalScore,
-        maxPoints: submission.total_points,
+        dryRun,
+        responsesChecked: responsesResult.rows.length,
+        responsesChanged: affected.reduce((sum, submission) => sum + submission.changes.length, 0),
+        manualScoresKept: skippedManual,
         needsManualGrading,
-        gradingResults
+        submissions: affected.map(({ status, changes, ...submission }) => ({
+          ...submission,
+          difference: submission.after === null ? null : Math.round((submission.after - submission.before) * 100) / 100,
+          changes: changes.map(({ details, ...change }) => change)
+        }))
       })
     };
   } catch (error) {
-    console.error('Error in gradeSubmission:', error);
+    console.error('Error in regradeResponses:', error);
     return {
       statusCode: 500,
       body: JSON.stringify({ message: 'Internal server error' })
@@ -196,6 +696,62 @@ exports.gradeSubmission = async (event) => {
   }
 };
 
+/**
+ * Grade a single question response with the grader for its type
+ * 
+ * @param {Object} question - Question object with response
+ * @returns {Object} - Score, feedback, manual grading flag, and grading details
+ */
+async function gradeQuestion(question) {
+  let score = 0;
+  let feedback = '';
+  let needsManualGrading = false;
+  let details = null;
+  
+  // Grade based on question type
+  switch (question.question_type) {
+    case 'true_false':
+    case 'multiple_choice':
+      ({ score, feedback } = gradeMultipleChoice(question));
+      break;
+      
+    case 'multiple_answer':
+      ({ score, feedback } = gradeMultipleAnswer(question));
+      break;
+      
+    case 'matching':
+      ({ score, feedback } = gradeMatching(question));
+      break;
+      
+    case 'drag_drop':
+      ({ score, feedback, details } = gradeDragDrop(question));
+      break;
+      
+    case 'fill_in_blank':
+      ({ score, feedback, needsManualGrading, details } = gradeFillInBlank(question));
+      break;
+      
+    case 'short_answer':
+      ({ score, feedback, needsManualGrading, details } = gradeShortAnswer(question));
+      break;
+      
+    case 'computational':
+      ({ score, feedback, needsManualGrading } = gradeComputational(question));
+      break;
+      
+    case 'coding':
+      ({ score, feedback, needsManualGrading, details } = await gradeCoding(question));
+      break;
+      
+    default:
+      // Essay, diagram, oral questions need manual grading
+      needsManualGrading = true;
+      feedback = 'This question type requires manual grading';
+  }
+  
+  return { score, feedback, needsManualGrading, details };
+}
+
 /**
  * Grade multiple choice question
  * 
@@ -218,18 +774,30 @@ function gradeMultipleChoice(question) {
 /**
  * Grade multiple answer question
  * 
+ * The scoring policy is chosen with metadata.scoringPolicy, either a type name or
+ * an object with a type and its settings:
+ * - 'per_option': correct decisions divided by total options (default)
+ * - 'all_or_nothing': full credit only for exactly the correct set
+ * - 'right_minus_wrong': (correct - incorrect selections) / correct options, bounded below by floor
+ * - 'weighted': sum of weights of selected options / sum of positive weights, bounded below by floor
+ * - 'at_least_n': full credit for at least n correct selections and no incorrect ones
+ * 
  * @param {Object} question - Question object with response
  * @returns {Object} - Score and feedback
  */
 function gradeMultipleAnswer(question) {
   const correctAnswers = question.correct_answer;
-  const studentAnswers = question.response_data;
   
-  if (!Array.isArray(correctAnswers) || !Array.isArray(studentAnswers)) {
+  if (!Array.isArray(correctAnswers) || !Array.isArray(question.response_data)) {
     return { score: 0, feedback: 'Invalid answer format' };
   }
   
-  // Count correct selections
+  // Selecting the same option twice must not count twice
+  const studentAnswers = [...new Set(question.response_data)];
+  
+  const policy = normalizeScoringPolicy(question.metadata?.scoringPolicy);
+  
+  // Count correct selections
   let correctSelections = 0;
   let incorrectSelections = 0;
   
@@ -245,28 +813,99 @@ function gradeMultipleAnswer(question) {
   // Check for missed correct answers
   const missedCorrect = correctAnswers.filter(answer => !studentAnswers.includes(answer)).length;
   
-  // Calculate partial credit
-  const totalOptions = question.options ? question.options.length : correctAnswers.length + 2;
-  const totalDecisions = totalOptions; // One decision per option (select or not)
-  const correctDecisions = totalOptions - incorrectSelections - missedCorrect;
+  // Calculate credit (0-1) according to the scoring policy
+  let credit = 0;
+  let calculation = '';
+  
+  switch (policy.type) {
+    case 'all_or_nothing': {
+      const allCorrect = missedCorrect === 0 && incorrectSelections === 0;
+      credit = allCorrect ? 1 : 0;
+      calculation = `All or nothing: ${allCorrect ? 'exact set selected' : 'selection does not exactly match the correct options'}`;
+      break;
+    }
+      
+    case 'right_minus_wrong': {
+      const net = correctSelections - incorrectSelections;
+      if (correctAnswers.length === 0) {
+        // No option is correct, so the only right answer is selecting nothing
+        credit = incorrectSelections === 0 ? 1 : policy.floor;
+        calculation = `Right minus wrong: no options are correct and ${incorrectSelections} incorrect selected`;
+        break;
+      }
+      credit = Math.min(1, Math.max(policy.floor, net / correctAnswers.length));
+      calculation = `Right minus wrong: ${correctSelections} correct - ${incorrectSelections} incorrect = ${net} of ${correctAnswers.length} correct options`;
+      if (net / correctAnswers.length < policy.floor) {
+        calculation += ` (raised to the minimum of ${Math.round(policy.floor * 100)}%)`;
+      }
+      break;
+    }
+      
+    case 'weighted': {
+      const weightOf = (answer) => Number(policy.weights[answer]) || 0;
+      const earned = studentAnswers.reduce((sum, answer) => sum + weightOf(answer), 0);
+      const possible = Object.values(policy.weights).filter(weight => weight > 0).reduce((sum, weight) => sum + Number(weight), 0);
+      credit = possible > 0 ? Math.min(1, Math.max(policy.floor, earned / possible)) : 0;
+      calculation = `Weighted options: ${Math.round(earned * 100) / 100} of ${Math.round(possible * 100) / 100} weight earned`;
+      break;
+    }
+      
+    case 'at_least_n': {
+      const required = Math.min(policy.n, correctAnswers.length);
+      const met = correctSelections >= required && incorrectSelections === 0;
+      credit = met ? 1 : 0;
+      calculation = `At least ${required} correct: ${correctSelections} correct and ${incorrectSelections} incorrect selected`;
+      break;
+    }
+      
+    default: {
+      const totalOptions = question.options ? question.options.length : correctAnswers.length + 2;
+      const totalDecisions = totalOptions; // One decision per option (select or not)
+      const correctDecisions = totalOptions - incorrectSelections - missedCorrect;
+      credit = Math.max(0, correctDecisions / totalDecisions);
+      calculation = `Per option: ${correctDecisions} of ${totalDecisions} options decided correctly`;
+    }
+  }
+  
+  // Never more than the question's points
+  credit = Math.min(1, credit);
   
-  const score = Math.max(0, (correctDecisions / totalDecisions) * question.points);
+  const score = credit * question.points;
   const roundedScore = Math.round(score * 100) / 100; // Round to 2 decimal places
   
-  let feedback = '';
+  let summary = '';
   if (correctSelections === correctAnswers.length && incorrectSelections === 0) {
-    feedback = 'All correct options selected';
+    summary = 'All correct options selected';
   } else if (incorrectSelections > 0 && missedCorrect > 0) {
-    feedback = 'Some incorrect options selected and some correct options missed';
+    summary = 'Some incorrect options selected and some correct options missed';
   } else if (incorrectSelections > 0) {
-    feedback = 'Some incorrect options selected';
+    summary = 'Some incorrect options selected';
   } else if (missedCorrect > 0) {
-    feedback = 'Some correct options missed';
+    summary = 'Some correct options missed';
   }
   
+  const feedback = `${summary}. ${calculation} (${Math.round(credit * 100)}% credit)`;
+  
   return { score: roundedScore, feedback };
 }
 
+/**
+ * Normalize a multiple answer scoring policy with defaults
+ * 
+ * @param {string|Object} scoringPolicy - Policy type or policy object
+ * @returns {Object} - Policy with type, floor, weights and n
+ */
+function normalizeScoringPolicy(scoringPolicy) {
+  const policy = typeof scoringPolicy === 'string' ? { type: scoringPolicy } : (scoringPolicy || {});
+  
+  return {
+    type: policy.type || 'per_option',
+    floor: policy.floor !== undefined ? Number(policy.floor) : 0,
+    weights: policy.weights || {},
+    n: policy.n !== undefined ? Number(policy.n) : 1
+  };
+}
+
 /**
  * Grade matching question
  * 
@@ -300,11 +939,138 @@ function gradeMatching(question) {
   return { score: roundedScore, feedback };
 }
 
+/**
+ * Grade drag-and-drop ordering question
+ * 
+ * Partial credit mode is chosen with metadata.partialCredit:
+ * - 'exact': full credit only for the exact order (default)
+ * - 'adjacent_pairs': credit for each correctly ordered adjacent pair
+ * - 'subsequence': credit for the longest run of items in correct relative order
+ * 
+ * The answer must contain every item exactly once. Per-item feedback follows
+ * the chosen mode, so an item is only out of place when it cost credit.
+ * 
+ * @param {Object} question - Question object with response
+ * @returns {Object} - Score, feedback, and per-item placement details
+ */
+function gradeDragDrop(question) {
+  const correctOrder = question.correct_answer;
+  const studentOrder = question.response_data;
+  const metadata = question.metadata || {};
+  const mode = metadata.partialCredit || 'exact';
+  
+  if (!Array.isArray(correctOrder) || !Array.isArray(studentOrder) || correctOrder.length === 0) {
+    return { score: 0, feedback: 'Invalid answer format' };
+  }
+  
+  // Repeated or missing items would earn credit more than once
+  const studentItems = new Set(studentOrder);
+  if (studentOrder.length !== correctOrder.length || studentItems.size !== studentOrder.length ||
+      !correctOrder.every(item => studentItems.has(item))) {
+    return { score: 0, feedback: 'Answer must contain every item exactly once' };
+  }
+  
+  // Items in place for the chosen mode
+  let inPlace;
+  let credit;
+  
+  if (mode === 'subsequence') {
+    inPlace = longestCorrectSubsequence(correctOrder, studentOrder);
+    credit = inPlace.size / correctOrder.length;
+  } else if (mode === 'adjacent_pairs' && correctOrder.length > 1) {
+    // An item is out of place when a pair it belongs to is broken
+    const broken = new Set();
+    let correctPairs = 0;
+    for (let i = 0; i < correctOrder.length - 1; i++) {
+      const position = studentOrder.indexOf(correctOrder[i]);
+      if (studentOrder[position + 1] === correctOrder[i + 1]) {
+        correctPairs++;
+      } else {
+        broken.add(correctOrder[i]);
+        broken.add(correctOrder[i + 1]);
+      }
+    }
+    inPlace = new Set(correctOrder.filter(item => !broken.has(item)));
+    credit = correctPairs / (correctOrder.length - 1);
+  } else {
+    inPlace = new Set(correctOrder.filter((item, index) => studentOrder[index] === item));
+    credit = inPlace.size === correctOrder.length ? 1 : 0;
+  }
+  
+  const score = credit * question.points;
+  const roundedScore = Math.round(score * 100) / 100; // Round to 2 decimal places
+  
+  // Per-item placement feedback, using item labels where available
+  const labels = {};
+  for (const item of question.options?.items || []) {
+    if (item && typeof item === 'object') {
+      labels[item.id] = item.text || item.id;
+    }
+  }
+  
+  const items = correctOrder.map((item, index) => ({
+    item,
+    label: labels[item] || item,
+    expectedPosition: index + 1,
+    actualPosition: studentOrder.indexOf(item) + 1 || null,
+    inPlace: inPlace.has(item)
+  }));
+  
+  const outOfPlace = items.filter(item => !item.inPlace);
+  const feedback = outOfPlace.length === 0
+    ? 'All items in the correct order'
+    : `Items out of place: ${outOfPlace.map(item => item.label).join(', ')}`;
+  
+  return {
+    score: roundedScore,
+    feedback,
+    details: { mode, items }
+  };
+}
+
+/**
+ * Find the longest subsequence of the student's order that is in correct relative order
+ * 
+ * @param {Array} correctOrder - Correct item order
+ * @param {Array} studentOrder - Student's item order
+ * @returns {Set} - Items in the subsequence
+ */
+function longestCorrectSubsequence(correctOrder, studentOrder) {
+  // Map student items to their correct positions, then find the longest increasing run
+  const positions = studentOrder
+    .map(item => ({ item, rank: correctOrder.indexOf(item) }))
+    .filter(entry => entry.rank !== -1);
+  
+  const lengths = positions.map(() => 1);
+  const previous = positions.map(() => -1);
+  
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (positions[j].rank < positions[i].rank && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  }
+  
+  const result = new Set();
+  let index = lengths.indexOf(Math.max(0, ...lengths));
+  while (index !== -1) {
+    result.add(positions[index].item);
+    index = previous[index];
+  }
+  
+  return result;
+}
+
 /**
  * Grade fill-in-the-blank question
  * 
+ * Each blank in correct_answer may be a string, a rule object, or an array of them.
+ * See matchBlankRule for the supported rule types.
+ * 
  * @param {Object} question - Question object with response
- * @returns {Object} - Score, feedback, and manual grading flag
+ * @returns {Object} - Score, feedback, manual grading flag, and the rule matched per blank
  */
 function gradeFillInBlank(question) {
   const correctAnswers = question.correct_answer;
@@ -328,78 +1094,165 @@ function gradeFillInBlank(question) {
     };
   }
   
-  // Count correct answers
+  // Award the best credit among the acceptable answers for each blank
   let correctCount = 0;
+  let earnedCredit = 0;
   const totalBlanks = Object.keys(correctAnswers).length;
-  const incorrectAnswers = [];
+  const blanks = {};
   
   for (const [blankId, correctAnswer] of Object.entries(correctAnswers)) {
     const studentAnswer = studentAnswers[blankId];
+    const acceptable = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
     
-    if (!studentAnswer) {
-      incorrectAnswers.push(blankId);
-      continue;
+    let best = null;
+    if (studentAnswer) {
+      for (const rule of acceptable) {
+        const match = matchBlankRule(String(studentAnswer), rule, metadata.caseSensitive);
+        if (match && (!best || match.credit > best.credit)) {
+          best = match;
+        }
+      }
     }
     
-    // Check for exact match or alternative answers
-    if (Array.isArray(correctAnswer)) {
-      // Multiple acceptable answers
-      const isCorrect = correctAnswer.some(answer => 
-        compareAnswers(studentAnswer, answer, metadata.caseSensitive)
-      );
-      
-      if (isCorrect) {
-        correctCount++;
-      } else {
-        incorrectAnswers.push(blankId);
-      }
-    } else {
-      // Single correct answer
-      const isCorrect = compareAnswers(studentAnswer, correctAnswer, metadata.caseSensitive);
-      
-      if (isCorrect) {
-        correctCount++;
-      } else {
-        incorrectAnswers.push(blankId);
-      }
+    if (best && best.credit >= 1) {
+      correctCount++;
     }
+    earnedCredit += best ? best.credit : 0;
+    blanks[blankId] = {
+      credit: best ? best.credit : 0,
+      matchedRule: best ? best.rule : null
+    };
   }
   
   // Calculate score
-  const score = (correctCount / totalBlanks) * question.points;
+  const score = (earnedCredit / totalBlanks) * question.points;
   const roundedScore = Math.round(score * 100) / 100; // Round to 2 decimal places
   
   let feedback = '';
   if (correctCount === totalBlanks) {
     feedback = 'All answers correct';
-  } else if (correctCount === 0) {
+  } else if (earnedCredit === 0) {
     feedback = 'All answers incorrect';
   } else {
     feedback = `${correctCount} out of ${totalBlanks} answers correct`;
   }
   
+  const partialBlanks = Object.entries(blanks).filter(([, blank]) => blank.credit > 0 && blank.credit < 1);
+  if (partialBlanks.length > 0) {
+    feedback += `; partial credit for ${partialBlanks.map(([blankId, blank]) => `blank ${blankId} (${blank.matchedRule})`).join(', ')}`;
+  }
+  
   // Determine if manual review is needed
   const needsManualGrading = metadata.alwaysReview === true || 
-                            (metadata.reviewThreshold && (correctCount / totalBlanks) < metadata.reviewThreshold);
+                            (metadata.reviewThreshold && (earnedCredit / totalBlanks) < metadata.reviewThreshold);
   
   return { 
     score: roundedScore, 
     feedback,
-    needsManualGrading
+    needsManualGrading,
+    details: { blanks }
   };
 }
 
+/**
+ * Match a fill-in-the-blank answer against one acceptable answer
+ * 
+ * A plain string is an exact match. Rule objects have a type and an optional credit (default 1):
+ * - { type: 'exact', value }
+ * - { type: 'regex', pattern, flags }
+ * - { type: 'numeric', min, max } or { type: 'numeric', value, tolerance }
+ * - { type: 'typo', value, maxDistance } (edit distance, default 1)
+ * - { type: 'diacritics', value } (accents ignored)
+ * - { type: 'punctuation', value } (punctuation ignored)
+ * 
+ * @param {string} studentAnswer - Student's answer for the blank
+ * @param {string|Object} rule - Acceptable answer or rule object
+ * @param {boolean} caseSensitive - Default case sensitivity for text rules
+ * @returns {Object|null} - { credit, rule } if matched, otherwise null
+ */
+function matchBlankRule(studentAnswer, rule, caseSensitive = false) {
+  if (typeof rule !== 'object' || rule === null) {
+    return compareAnswers(studentAnswer, String(rule), caseSensitive) ? { credit: 1, rule: 'exact' } : null;
+  }
+  
+  const type = rule.type || 'exact';
+  const credit = rule.credit !== undefined ? Number(rule.credit) : 1;
+  const ruleCaseSensitive = rule.caseSensitive !== undefined ? rule.caseSensitive : caseSensitive;
+  let matched = false;
+  
+  switch (type) {
+    case 'exact':
+      matched = compareAnswers(studentAnswer, String(rule.value), ruleCaseSensitive);
+      break;
+      
+    case 'regex':
+      try {
+        const flags = (rule.flags || '') + (ruleCaseSensitive || (rule.flags || '').includes('i') ? '' : 'i');
+        matched = new RegExp(`^(?:${rule.pattern})$`, flags).test(studentAnswer.trim());
+      } catch (error) {
+        console.error('Invalid regex in fill-in-the-blank rule:', error);
+      }
+      break;
+      
+    case 'numeric': {
+      // Accept thousands separators such as "1,000"
+      const cleaned = studentAnswer.trim().replace(/(\d)[,\s](?=\d{3}\b)/g, '$1');
+      const value = Number(cleaned);
+      if (cleaned !== '' && Number.isFinite(value)) {
+        if (rule.value !== undefined) {
+          matched = Math.abs(value - Number(rule.value)) <= (Number(rule.tolerance) || 0);
+        } else {
+          matched = (rule.min === undefined || value >= Number(rule.min)) &&
+                    (rule.max === undefined || value <= Number(rule.max));
+        }
+      }
+      break;
+    }
+      
+    case 'typo': {
+      const normalize = text => (ruleCaseSensitive ? text : text.toLowerCase()).trim();
+      const maxDistance = rule.maxDistance !== undefined ? rule.maxDistance : 1;
+      matched = natural.LevenshteinDistance(normalize(studentAnswer), normalize(String(rule.value))) <= maxDistance;
+      break;
+    }
+      
+    case 'diacritics': {
+      const strip = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      matched = compareAnswers(strip(studentAnswer), strip(String(rule.value)), ruleCaseSensitive);
+      break;
+    }
+      
+    case 'punctuation': {
+      const strip = text => text.replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ');
+      matched = compareAnswers(strip(studentAnswer), strip(String(rule.value)), ruleCaseSensitive);
+      break;
+    }
+      
+    default:
+      console.error(`Unknown fill-in-the-blank rule type: ${type}`);
+  }
+  
+  return matched ? { credit, rule: type } : null;
+}
+
 /**
  * Grade short answer question
  * 
+ * When metadata.concepts is set, the answer is graded by the concepts it
+ * covers; otherwise it is compared with each model answer as a whole and
+ * earns the credit of the closest one.
+ * 
  * @param {Object} question - Question object with response
- * @returns {Object} - Score, feedback, and manual grading flag
+ * @returns {Object} - Score, feedback, manual grading flag, and concept or model answer details
  */
 function gradeShortAnswer(question) {
   const correctAnswer = question.correct_answer;
   const studentAnswer = question.response_data;
+  const metadata = question.metadata || {};
+  const hasConcepts = Array.isArray(metadata.concepts) && metadata.concepts.length > 0;
+  const hasModelAnswers = Array.isArray(correctAnswer) ? correctAnswer.length > 0 : Boolean(correctAnswer);
   
-  if (!correctAnswer || !studentAnswer) {
+  if ((!hasModelAnswers && !hasConcepts) || !studentAnswer) {
     return { 
       score: 0, 
       feedback: 'Invalid answer format',
@@ -408,7 +1261,6 @@ function gradeShortAnswer(question) {
   }
   
   // Check if we need manual grading
-  const metadata = question.metadata || {};
   if (metadata.requiresManualGrading) {
     return {
       score: 0,
@@ -417,8 +1269,20 @@ function gradeShortAnswer(question) {
     };
   }
   
-  // Use NLP to compare answers
-  const similarity = calculateTextSimilarity(studentAnswer, correctAnswer);
+  if (hasConcepts) {
+    return gradeConcepts(question, String(studentAnswer), metadata);
+  }
+  
+  // Compare the answer with each model answer and keep the closest
+  const modelAnswers = normalizeModelAnswers(correctAnswer);
+  let best = null;
+  
+  modelAnswers.forEach(modelAnswer => {
+    const similarity = calculateTextSimilarity(String(studentAnswer), modelAnswer.text);
+    if (!best || similarity > best.similarity) {
+      best = { ...modelAnswer, similarity };
+    }
+  });
   
   // Calculate score based on similarity threshold
   const threshold = metadata.similarityThreshold || 0.8;
@@ -426,12 +1290,20 @@ function gradeShortAnswer(question) {
   let feedback = '';
   let needsManualGrading = false;
   
-  if (similarity >= threshold) {
-    score = question.points;
-    feedback = 'Answer matches expected response';
-  } else if (similarity >= threshold * 0.7) {
-    // Partial credit for close answers
-    score = question.points * 0.5;
+  if (best && best.similarity >= threshold) {
+    score = question.points * best.credit;
+    if (best.feedback) {
+      feedback = best.feedback;
+    } else if (best.credit >= 1) {
+      feedback = 'Answer matches expected response';
+    } else if (best.credit > 0) {
+      feedback = 'Answer matches a partially correct response';
+    } else {
+      feedback = 'Answer does not match expected response';
+    }
+  } else if (best && best.credit > 0 && best.similarity >= threshold * 0.7) {
+    // Partial credit for answers close to a creditworthy model answer
+    score = question.points * best.credit * 0.5;
     feedback = 'Answer partially matches expected response';
     needsManualGrading = true; // Recommend manual review for partial matches
   } else {
@@ -441,9 +1313,83 @@ function gradeShortAnswer(question) {
   }
   
   return { 
-    score, 
+    score: Math.round(score * 100) / 100, 
     feedback,
-    needsManualGrading: needsManualGrading || metadata.alwaysReview === true
+    needsManualGrading: needsManualGrading || metadata.alwaysReview === true,
+    details: best ? {
+      // Students see these details, so the model answer itself is left out
+      modelAnswer: {
+        credit: best.credit,
+        similarity: Math.round(best.similarity * 1000) / 1000
+      }
+    } : null
+  };
+}
+
+/**
+ * Normalize the correct answer of a short answer question to a list of model answers
+ * 
+ * The correct answer is either a single string (full credit) or a list of
+ * model answers ({ text, credit, feedback }), where credit is between 0 and 1.
+ * A credit of 0 marks a known misconception.
+ * 
+ * @param {string|Array} correctAnswer - Correct answer from the question
+ * @returns {Array} - Model answers ({ text, credit, feedback })
+ */
+function normalizeModelAnswers(correctAnswer) {
+  if (!Array.isArray(correctAnswer)) {
+    return [{ text: String(correctAnswer), credit: 1, feedback: null }];
+  }
+  
+  return correctAnswer
+    .map(modelAnswer => typeof modelAnswer === 'string'
+      ? { text: modelAnswer, credit: 1, feedback: null }
+      : {
+        text: String(modelAnswer.text || ''),
+        credit: modelAnswer.credit !== undefined ? Number(modelAnswer.credit) : 1,
+        feedback: modelAnswer.feedback || null
+      })
+    .filter(modelAnswer => modelAnswer.text.trim() !== '');
+}
+
+/**
+ * Grade a short answer by the concepts it covers
+ * 
+ * Each concept earns its points when its name or a synonym is mentioned
+ * without being negated. The score is scaled to the question's points.
+ * 
+ * @param {Object} question - Question object with response
+ * @param {string} studentAnswer - Student's answer text
+ * @param {Object} metadata - Question metadata with concepts
+ * @returns {Object} - Score, feedback, manual grading flag, and per-concept details
+ */
+function gradeConcepts(question, studentAnswer, metadata) {
+  const concepts = conceptMatcher.matchConcepts(studentAnswer, metadata.concepts, {
+    stem: word => stemmer.stem(word),
+    negationWindow: metadata.negationWindow
+  });
+  
+  const totalPoints = concepts.reduce((sum, concept) => sum + concept.points, 0);
+  const earnedPoints = concepts.filter(concept => concept.found).reduce((sum, concept) => sum + concept.points, 0);
+  const score = totalPoints > 0 ? Math.round(question.points * (earnedPoints / totalPoints) * 100) / 100 : 0;
+  
+  const covered = concepts.filter(concept => concept.found).map(concept => concept.name);
+  const missing = concepts.filter(concept => !concept.found).map(concept => concept.negated ? `${concept.name} (negated)` : concept.name);
+  
+  const feedbackParts = [];
+  if (covered.length > 0) {
+    feedbackParts.push(`Concepts covered: ${covered.join(', ')}`);
+  }
+  if (missing.length > 0) {
+    feedbackParts.push(`Concepts missing: ${missing.join(', ')}`);
+  }
+  
+  return {
+    score,
+    feedback: feedbackParts.join('. '),
+    needsManualGrading: metadata.alwaysReview === true ||
+                        (earnedPoints < totalPoints && metadata.reviewIncorrect === true),
+    details: { concepts }
   };
 }
 
@@ -477,25 +1423,9 @@ function gradeComputational(question) {
   
   // Handle different types of computational questions
   if (metadata.type === 'numeric') {
-    // Numeric comparison with tolerance
-    const tolerance = metadata.tolerance || 0;
-    const isCorrect = Math.abs(parseFloat(studentAnswer) - parseFloat(correctAnswer)) <= tolerance;
-    
-    const score = isCorrect ? question.points : 0;
-    const feedback = isCorrect ? 'Correct answer' : 'Incorrect answer';
-    
-    return { 
-      score, 
-      feedback,
-      needsManualGrading: !isCorrect && metadata.reviewIncorrect === true
-    };
+    return gradeNumeric(question, studentAnswer, correctAnswer, metadata);
   } else if (metadata.type === 'formula') {
-    // Formula comparison requires manual grading
-    return {
-      score: 0,
-      feedback: 'Formula evaluation requires manual grading',
-      needsManualGrading: true
-    };
+    return gradeFormula(question, studentAnswer, correctAnswer, metadata);
   } else {
     // Default to manual grading for other computational types
     return {
@@ -507,119 +1437,3744 @@ function gradeComputational(question) {
 }
 
 /**
- * Grade coding question
+ * Grade a numeric answer with optional units, significant figures and scientific notation
+ * 
+ * Relevant metadata:
+ * - unit: expected unit (defaults to the unit written in correct_answer, if any)
+ * - tolerance / relativeTolerance: absolute (in the expected unit) or fractional tolerance
+ * - sigFigs: required number of significant figures
+ * - scientificNotation: whether the answer must be written in scientific notation
+ * - partialCredit: { wrongUnit, wrongSigFigs, notScientific } credit multipliers (default 0.5)
  * 
  * @param {Object} question - Question object with response
+ * @param {string} studentAnswer - Student's answer
+ * @param {string|number} correctAnswer - Correct answer, optionally with a unit
+ * @param {Object} metadata - Question metadata
  * @returns {Object} - Score, feedback, and manual grading flag
  */
-function gradeCoding(question) {
-  // Coding questions typically need manual grading or test case execution
-  // This is a simplified version that always requires manual grading
+function gradeNumeric(question, studentAnswer, correctAnswer, metadata) {
+  let expectedValue;
+  let expectedUnit;
+  try {
+    const expected = unitConverter.parseQuantity(String(correctAnswer));
+    expectedUnit = metadata.unit || expected.unit;
+    expectedValue = expected.unit && metadata.unit
+      ? unitConverter.convert(expected.value, expected.unit, metadata.unit)
+      : expected.value;
+  } catch (error) {
+    // The answer key itself could not be parsed
+    console.error('Error parsing numeric answer key:', error);
+    return {
+      score: 0,
+      feedback: 'This computational question requires manual grading',
+      needsManualGrading: true
+    };
+  }
+  
+  let student;
+  try {
+    student = unitConverter.parseQuantity(String(studentAnswer));
+  } catch (error) {
+    return {
+      score: 0,
+      feedback: 'Answer could not be read as a number',
+      needsManualGrading: metadata.reviewIncorrect === true
+    };
+  }
+  
+  // Convert to the expected unit; a missing or incompatible unit is compared as a bare number
+  let value = student.value;
+  let unitProblem = null;
+  if (expectedUnit) {
+    if (!student.unit) {
+      unitProblem = `Unit is missing (expected ${expectedUnit})`;
+    } else if (!unitConverter.areCompatible(student.unit, expectedUnit)) {
+      unitProblem = `Unit ${student.unit} is not valid for this answer (expected ${expectedUnit})`;
+    } else {
+      value = unitConverter.convert(student.value, student.unit, expectedUnit);
+    }
+  }
+  
+  const tolerance = Math.max(
+    metadata.tolerance || 0,
+    (metadata.relativeTolerance || 0) * Math.abs(expectedValue)
+  );
+  // Allow for floating point error introduced by unit conversion
+  const isCorrect = Math.abs(value - expectedValue) <= tolerance + 1e-9 * Math.abs(expectedValue);
+  
+  if (!isCorrect) {
+    return {
+      score: 0,
+      feedback: 'Incorrect answer',
+      needsManualGrading: metadata.reviewIncorrect === true
+    };
+  }
+  
+  // Apply partial credit for each presentation problem
+  const partialCredit = { wrongUnit: 0.5, wrongSigFigs: 0.5, notScientific: 0.5, ...metadata.partialCredit };
+  let credit = 1;
+  const problems = [];
+  
+  if (unitProblem) {
+    credit *= partialCredit.wrongUnit;
+    problems.push(unitProblem);
+  }
+  
+  if (metadata.sigFigs && (metadata.sigFigs < student.sigFigs.min || metadata.sigFigs > student.sigFigs.max)) {
+    credit *= partialCredit.wrongSigFigs;
+    problems.push(`Answer should have ${metadata.sigFigs} significant figures`);
+  }
+  
+  if (metadata.scientificNotation && !student.scientific) {
+    credit *= partialCredit.notScientific;
+    problems.push('Answer should be written in scientific notation');
+  }
+  
+  const score = Math.round(question.points * credit * 100) / 100; // Round to 2 decimal places
+  const feedback = problems.length === 0
+    ? 'Correct answer'
+    : `Correct value. ${problems.join('. ')}`;
   
   return {
-    score: 0,
-    feedback: 'Code evaluation requires manual grading or test case execution',
-    needsManualGrading: true
+    score,
+    feedback,
+    needsManualGrading: credit < 1 && metadata.reviewIncorrect === true
   };
 }
 
 /**
- * Compare student answer with correct answer
+ * Grade a formula answer by checking symbolic equivalence with the correct expression
  * 
- * @param {string} studentAnswer - Student's answer
- * @param {string} correctAnswer - Correct answer
- * @param {boolean} caseSensitive - Whether comparison is case sensitive
- * @returns {boolean} - Whether answers match
+ * @param {Object} question - Question object with response
+ * @param {string} studentAnswer - Student's expression
+ * @param {string} correctAnswer - Correct expression
+ * @param {Object} metadata - Question metadata (variables, requiredForm, wrongFormCredit)
+ * @returns {Object} - Score, feedback, and manual grading flag
  */
-function compareAnswers(studentAnswer, correctAnswer, caseSensitive = false) {
-  if (!caseSensitive) {
-    studentAnswer = studentAnswer.toLowerCase();
-    correctAnswer = correctAnswer.toLowerCase();
+function gradeFormula(question, studentAnswer, correctAnswer, metadata) {
+  let result;
+  try {
+    result = expressionParser.checkEquivalence(String(studentAnswer), String(correctAnswer), {
+      variables: metadata.variables,
+      requiredForm: metadata.requiredForm
+    });
+  } catch (error) {
+    // The answer key itself could not be parsed
+    console.error('Error parsing formula answer key:', error);
+    return {
+      score: 0,
+      feedback: 'Formula evaluation requires manual grading',
+      needsManualGrading: true
+    };
   }
   
-  // Trim whitespace
-  studentAnswer = studentAnswer.trim();
-  correctAnswer = correctAnswer.trim();
+  if (result.error) {
+    return {
+      score: 0,
+      feedback: `Answer could not be read as an expression: ${result.error}`,
+      needsManualGrading: metadata.reviewIncorrect === true
+    };
+  }
   
-  return studentAnswer === correctAnswer;
-}
-
-/**
- * Calculate text similarity between two strings
- * 
- * @param {string} text1 - First text
- * @param {string} text2 - Second text
- * @returns {number} - Similarity score (0-1)
- */
-function calculateTextSimilarity(text1, text2) {
-  // Tokenize and stem
-  const tokens1 = tokenizer.tokenize(text1.toLowerCase()).map(token => stemmer.stem(token));
-  const tokens2 = tokenizer.tokenize(text2.toLowerCase()).map(token => stemmer.stem(token));
+  if (!result.equivalent) {
+    return {
+      score: 0,
+      feedback: 'Expression is not equivalent to the correct answer',
+      needsManualGrading: metadata.reviewIncorrect === true
+    };
+  }
   
-  // Use string similarity for comparison
-  return stringSimilarity.compareTwoStrings(tokens1.join(' '), tokens2.join(' '));
+  if (!result.inRequiredForm) {
+    // Equivalent answers in the wrong form earn partial credit (half by default)
+    const credit = metadata.wrongFormCredit !== undefined ? metadata.wrongFormCredit : 0.5;
+    const score = Math.round(question.points * credit * 100) / 100; // Round to 2 decimal places
+    
+    return {
+      score,
+      feedback: `Expression is equivalent but not in the required ${metadata.requiredForm} form`,
+      needsManualGrading: false
+    };
+  }
+  
+  return {
+    score: question.points,
+    feedback: 'Expression is equivalent to the correct answer',
+    needsManualGrading: false
+  };
 }
 
 /**
- * Manual grade question
+ * Grade coding question by running it against its test cases in the sandbox
  * 
- * @param {Object} event - Lambda event object
- * @returns {Object} - Response with success message or error
+ * @param {Object} question - Question object with response
+ * @returns {Object} - Score, feedback, manual grading flag, and test results
  */
-exports.manualGradeQuestion = async (event) => {
-  try {
-    const { responseId, score, feedback, graderId } = JSON.parse(event.body);
-    
-    // Validate input
-    if (!responseId || score === undefined) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ message: 'Response ID and score are required' })
+async function gradeCoding(question) {
+  const options = question.options || {};
+  const metadata = question.metadata || {};
+  const testCases = options.testCases || [];
+  const language = options.language || 'javascript';
+  const code = typeof question.response_data === 'string' ? question.response_data : question.response_data?.code;
+  
+  if (!code) {
+    return {
+      score: 0,
+      feedback: 'Invalid answer format',
+      needsManualGrading: false
+    };
+  }
+  
+  // Without test cases or a runnable language the code has to be reviewed by hand
+  if (metadata.requiresManualGrading || testCases.length === 0 || !codeSandbox.isSupportedLanguage(language)) {
+    return {
+      score: 0,
+      feedback: 'Code evaluation requires manual grading',
+      needsManualGrading: true
+    };
+  }
+  
+  let testResults;
+  try {
+    testResults = await codeSandbox.runInSandbox(code, language, testCases, metadata.limits);
+  } catch (error) {
+    console.error('Error running code in sandbox:', error);
+    return {
+      score: 0,
+      feedback: 'Code could not be executed and requires manual grading',
+      needsManualGrading: true
+    };
+  }
+  
+  // Score is proportional to the weight of passing test cases
+  const totalWeight = testResults.reduce((sum, result) => sum + result.weight, 0);
+  const passedWeight = testResults.filter(result => result.passed).reduce((sum, result) => sum + result.weight, 0);
+  const passedCount = testResults.filter(result => result.passed).length;
+  
+  const score = totalWeight > 0 ? (passedWeight / totalWeight) * question.points : 0;
+  const roundedScore = Math.round(score * 100) / 100; // Round to 2 decimal places
+  
+  const feedback = `${passedCount} out of ${testResults.length} test cases passed`;
+  
+  return {
+    score: roundedScore,
+    feedback,
+    needsManualGrading: passedCount < testResults.length && metadata.reviewFailures === true,
+    details: { testResults }
+  };
+}
+
+/**
+ * Compare student answer with correct answer
+ * 
+ * @param {string} studentAnswer - Student's answer
+ * @param {string} correctAnswer - Correct answer
+ * @param {boolean} caseSensitive - Whether comparison is case sensitive
+ * @returns {boolean} - Whether answers match
+ */
+function compareAnswers(studentAnswer, correctAnswer, caseSensitive = false) {
+  if (!caseSensitive) {
+    studentAnswer = studentAnswer.toLowerCase();
+    correctAnswer = correctAnswer.toLowerCase();
+  }
+  
+  // Trim whitespace
+  studentAnswer = studentAnswer.trim();
+  correctAnswer = correctAnswer.trim();
+  
+  return studentAnswer === correctAnswer;
+}
+
+/**
+ * Calculate text similarity between two strings
+ * 
+ * @param {string} text1 - First text
+ * @param {string} text2 - Second text
+ * @returns {number} - Similarity score (0-1)
+ */
+function calculateTextSimilarity(text1, text2) {
+  // Use string similarity for comparison
+  return stringSimilarity.compareTwoStrings(stemText(text1), stemText(text2));
+}
+
+/**
+ * Tokenize and stem text for calculateTextSimilarity
+ * 
+ * @param {string} text - Text
+ * @returns {string} - Stemmed tokens joined by spaces
+ */
+function stemText(text) {
+  return tokenizer.tokenize(text.toLowerCase()).map(token => stemmer.stem(token)).join(' ');
+}
+
+/**
+ * Generate a cross-submission similarity report for an assignment
+ * 
+ * Essay, short answer and coding responses to the same question are compared
+ * between students. Pairs whose matching passages cover at least the threshold
+ * share of their text are flagged and grouped into clusters. Only the course's
+ * teachers and admins can generate the report.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with flagged pairs and clusters per question or error
+ */
+exports.generateSimilarityReport = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const { threshold = 0.5, minLength } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can view the similarity report for this assignment' })
+      };
+    }
+    
+    const responsesResult = await pool.query(
+      `SELECT q.question_id, q.options, qt.name AS question_type,
+              qr.response_id, qr.response_data, s.submission_id, s.student_id,
+              a.is_anonymous, a.anonymous_key, a.deanonymized_at
+       FROM question_responses qr
+       JOIN questions q ON qr.question_id = q.question_id
+       JOIN question_types qt ON q.type_id = qt.type_id
+       JOIN submissions s ON qr.submission_id = s.submission_id
+       JOIN assignments a ON q.assignment_id = a.assignment_id
+       WHERE q.assignment_id = $1
+         AND qt.name IN ('essay', 'short_answer', 'coding')
+         AND s.status <> 'draft'
+       ORDER BY q.order_num, s.student_id`,
+      [assignmentId]
+    );
+    
+    // Group responses by question
+    const questions = new Map();
+    for (const row of responsesResult.rows) {
+      const text = typeof row.response_data === 'string'
+        ? row.response_data
+        : row.response_data?.code || row.response_data?.text || '';
+      
+      if (!text.trim()) {
+        continue;
+      }
+      
+      if (!questions.has(row.question_id)) {
+        questions.set(row.question_id, { questionId: row.question_id, questionType: row.question_type, options: row.options, responses: [] });
+      }
+      questions.get(row.question_id).responses.push({ ...row, text });
+    }
+    
+    const report = [];
+    
+    for (const question of questions.values()) {
+      const isCode = question.questionType === 'coding';
+      const pairs = [];
+      const options = {
+        kind: isCode ? 'code' : 'text',
+        language: question.options?.language,
+        stem: token => stemmer.stem(token),
+        minLength
+      };
+      
+      // Tokenize and stem each response once rather than once per pair
+      for (const response of question.responses) {
+        response.prepared = similarityDetector.prepareResponse(response.text, options);
+        response.stemmedText = isCode ? null : stemText(response.text);
+      }
+      
+      // Compare every pair of students who answered this question
+      for (let i = 0; i < question.responses.length; i++) {
+        for (let j = i + 1; j < question.responses.length; j++) {
+          const a = question.responses[i];
+          const b = question.responses[j];
+          
+          const { coverage, spans } = similarityDetector.comparePrepared(a.prepared, b.prepared, options);
+          
+          if (coverage < threshold) {
+            continue;
+          }
+          
+          // Anonymized assignments show pseudonyms instead of student IDs
+          pairs.push({
+            studentA: anonymizer.isHidden(a) ? anonymizer.pseudonym(a.anonymous_key, a.submission_id) : a.student_id,
+            studentB: anonymizer.isHidden(b) ? anonymizer.pseudonym(b.anonymous_key, b.submission_id) : b.student_id,
+            responseA: a.response_id,
+            responseB: b.response_id,
+            similarity: Math.round(coverage * 1000) / 1000,
+            textSimilarity: isCode
+              ? undefined
+              : Math.round(stringSimilarity.compareTwoStrings(a.stemmedText, b.stemmedText) * 1000) / 1000,
+            matches: spans
+          });
+        }
+      }
+      
+      if (pairs.length > 0) {
+        pairs.sort((x, y) => y.similarity - x.similarity);
+        report.push({
+          questionId: question.questionId,
+          questionType: question.questionType,
+          responsesCompared: question.responses.length,
+          pairs,
+          clusters: similarityDetector.clusterPairs(pairs)
+        });
+      }
+    }
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        assignmentId,
+        threshold,
+        flaggedQuestions: report.length,
+        questions: report
+      })
+    };
+  } catch (error) {
+    console.error('Error in generateSimilarityReport:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Compute item analysis statistics for a graded assignment
+ * 
+ * Only graded submissions are included, so the statistics can be checked
+ * before grades are released. Only the course's teachers and admins can see
+ * them, since they reveal the answer key.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with per-question statistics and reliability or error
+ */
+exports.getItemAnalysis = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can view item analysis for this assignment' })
+      };
+    }
+    
+    const questionsResult = await pool.query(
+      `SELECT q.question_id, q.points, q.options, q.correct_answer, qt.name as question_type
+       FROM questions q
+       JOIN question_types qt ON q.type_id = qt.type_id
+       WHERE q.assignment_id = $1
+       ORDER BY q.order_num`,
+      [assignmentId]
+    );
+    
+    if (questionsResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'No questions found for this assignment' })
+      };
+    }
+    
+    const responsesResult = await pool.query(
+      `SELECT s.student_id, qr.question_id, qr.score, qr.response_data
+       FROM submissions s
+       LEFT JOIN question_responses qr ON qr.submission_id = s.submission_id
+       WHERE s.assignment_id = $1 AND s.status = 'graded'`,
+      [assignmentId]
+    );
+    
+    // Group responses by student
+    const students = new Map();
+    for (const row of responsesResult.rows) {
+      if (!students.has(row.student_id)) {
+        students.set(row.student_id, { studentId: row.student_id, responses: {} });
+      }
+      if (row.question_id !== null) {
+        students.get(row.student_id).responses[row.question_id] = {
+          score: row.score,
+          responseData: row.response_data
+        };
+      }
+    }
+    
+    const questions = questionsResult.rows.map(question => ({
+      questionId: question.question_id,
+      type: question.question_type,
+      points: question.points,
+      options: question.options,
+      correctAnswer: question.correct_answer
+    }));
+    
+    const analysis = itemAnalysis.analyzeItems(questions, [...students.values()]);
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        assignmentId,
+        ...analysis
+      })
+    };
+  } catch (error) {
+    console.error('Error in getItemAnalysis:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * List responses waiting for manual grading across the requester's courses
+ * 
+ * Admins see every course. Responses claimed by another grader are left out
+ * unless includeClaimed is set; claims expire after CLAIM_TIMEOUT_MINUTES.
+ * Query parameters: courseId, assignmentId, questionType, dueAfter, dueBefore,
+ * sort ('oldest' or 'deadline'), includeClaimed and limit.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with queue items or error
+ */
+exports.getGradingQueue = async (event) => {
+  try {
+    const {
+      courseId = null,
+      assignmentId = null,
+      questionType = null,
+      dueAfter = null,
+      dueBefore = null,
+      sort = 'oldest',
+      includeClaimed = 'false',
+      limit = '100'
+    } = event.queryStringParameters || {};
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (!Object.prototype.hasOwnProperty.call(GRADING_QUEUE_SORTS, sort)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: `Sort must be one of: ${Object.keys(GRADING_QUEUE_SORTS).join(', ')}` })
+      };
+    }
+    
+    if ((courseId !== null && !isIdParameter(courseId)) || (assignmentId !== null && !isIdParameter(assignmentId))) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Course and assignment IDs must be positive integers' })
+      };
+    }
+    
+    if ((dueAfter !== null && !isDateParameter(dueAfter)) || (dueBefore !== null && !isDateParameter(dueBefore))) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Due dates must be ISO 8601 dates (e.g. 2024-05-31 or 2024-05-31T17:00:00Z)' })
+      };
+    }
+    
+    const rowLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    const isAdmin = await isAdminUser(userId);
+    
+    const result = await pool.query(
+      `SELECT qr.response_id, qr.question_id, qt.name AS question_type, q.points,
+              a.assignment_id, a.title AS assignment_title, a.due_date,
+              c.course_id, c.course_code,
+              s.submission_id, s.student_id, s.submitted_at, sp.first_name, sp.last_name,
+              a.is_anonymous, a.anonymous_key, a.deanonymized_at,
+              qr.moderation_status, qr.claimed_by, u.username AS claimed_by_username, qr.claimed_at,
+              (qr.claimed_by IS NOT NULL AND qr.claimed_at >= CURRENT_TIMESTAMP - make_interval(mins => $9)) AS is_claimed
+       FROM question_responses qr
+       JOIN questions q ON qr.question_id = q.question_id
+       JOIN question_types qt ON q.type_id = qt.type_id
+       JOIN submissions s ON qr.submission_id = s.submission_id
+       JOIN student_profiles sp ON s.student_id = sp.student_id
+       JOIN assignments a ON q.assignment_id = a.assignment_id
+       JOIN courses c ON a.course_id = c.course_id
+       LEFT JOIN users u ON qr.claimed_by = u.user_id
+       WHERE qr.score IS NULL
+         AND s.status IN ('submitted', 'late')
+         AND (qr.moderation_status IS NULL OR qr.moderation_status = 'awaiting_second_mark')
+         AND NOT EXISTS (
+           SELECT 1 FROM response_marks rm WHERE rm.response_id = qr.response_id AND rm.grader_id = $1
+         )
+         AND ($2::boolean OR EXISTS (
+           SELECT 1 FROM course_teachers ct
+           JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+           WHERE ct.course_id = a.course_id AND tp.user_id = $1
+         ))
+         AND ($3::int IS NULL OR c.course_id = $3)
+         AND ($4::int IS NULL OR a.assignment_id = $4)
+         AND ($5::text IS NULL OR qt.name = $5)
+         AND ($6::timestamp IS NULL OR a.due_date >= $6)
+         AND ($7::timestamp IS NULL OR a.due_date <= $7)
+         AND ($8::boolean
+              OR qr.claimed_by IS NULL
+              OR qr.claimed_by = $1
+              OR qr.claimed_at < CURRENT_TIMESTAMP - make_interval(mins => $9))
+       ORDER BY ${GRADING_QUEUE_SORTS[sort]}
+       LIMIT $10`,
+      [
+        userId,
+        isAdmin,
+        courseId,
+        assignmentId,
+        questionType,
+        dueAfter,
+        dueBefore,
+        includeClaimed === 'true',
+        CLAIM_TIMEOUT_MINUTES,
+        rowLimit
+      ]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        sort,
+        claimTimeoutMinutes: CLAIM_TIMEOUT_MINUTES,
+        items: result.rows.map(row => ({
+          responseId: row.response_id,
+          questionId: row.question_id,
+          questionType: row.question_type,
+          points: row.points,
+          assignmentId: row.assignment_id,
+          assignmentTitle: row.assignment_title,
+          dueDate: row.due_date,
+          courseId: row.course_id,
+          courseCode: row.course_code,
+          submissionId: row.submission_id,
+          ...anonymizedStudent(row, row),
+          submittedAt: row.submitted_at,
+          awaitingSecondMark: row.moderation_status === 'awaiting_second_mark',
+          claimedBy: row.is_claimed ? row.claimed_by : null,
+          claimedByUsername: row.is_claimed ? row.claimed_by_username : null,
+          claimedAt: row.is_claimed ? row.claimed_at : null,
+          claimedByMe: row.is_claimed && String(row.claimed_by) === String(userId)
+        }))
+      })
+    };
+  } catch (error) {
+    console.error('Error in getGradingQueue:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Claim responses from the grading queue
+ * 
+ * Responses that are already graded, claimed by another grader or outside the
+ * requester's courses are not claimed and are returned as unavailable. Claiming
+ * a response again renews the claim.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with claimed and unavailable response IDs or error
+ */
+exports.claimResponses = async (event) => {
+  try {
+    const { responseIds } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (!Array.isArray(responseIds) || responseIds.length === 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response IDs are required' })
+      };
+    }
+    
+    if (!responseIds.every(isIdParameter)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response IDs must be positive integers' })
+      };
+    }
+    
+    const isAdmin = await isAdminUser(userId);
+    
+    // A single update so two graders claiming at once cannot both succeed
+    const result = await pool.query(
+      `UPDATE question_responses qr
+       SET claimed_by = $1, claimed_at = CURRENT_TIMESTAMP
+       FROM questions q, assignments a
+       WHERE qr.question_id = q.question_id
+         AND q.assignment_id = a.assignment_id
+         AND qr.response_id = ANY($2::int[])
+         AND qr.score IS NULL
+         AND (qr.claimed_by IS NULL
+              OR qr.claimed_by = $1
+              OR qr.claimed_at < CURRENT_TIMESTAMP - make_interval(mins => $4))
+         AND ($3::boolean OR EXISTS (
+           SELECT 1 FROM course_teachers ct
+           JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+           WHERE ct.course_id = a.course_id AND tp.user_id = $1
+         ))
+       RETURNING qr.response_id`,
+      [userId, responseIds, isAdmin, CLAIM_TIMEOUT_MINUTES]
+    );
+    
+    const claimed = result.rows.map(row => row.response_id);
+    const unavailable = responseIds.filter(id => !claimed.some(claimedId => String(claimedId) === String(id)));
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: `${claimed.length} response(s) claimed`,
+        claimed,
+        unavailable,
+        claimTimeoutMinutes: CLAIM_TIMEOUT_MINUTES
+      })
+    };
+  } catch (error) {
+    console.error('Error in claimResponses:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Release the requester's claims on responses
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with released response IDs or error
+ */
+exports.releaseClaims = async (event) => {
+  try {
+    const { responseIds } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (!Array.isArray(responseIds) || responseIds.length === 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response IDs are required' })
+      };
+    }
+    
+    if (!responseIds.every(isIdParameter)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response IDs must be positive integers' })
+      };
+    }
+    
+    const result = await pool.query(
+      `UPDATE question_responses
+       SET claimed_by = NULL, claimed_at = NULL
+       WHERE response_id = ANY($1::int[]) AND claimed_by = $2
+       RETURNING response_id`,
+      [responseIds, userId]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: `${result.rows.length} claim(s) released`,
+        released: result.rows.map(row => row.response_id)
+      })
+    };
+  } catch (error) {
+    console.error('Error in releaseClaims:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Check whether a request value is a positive integer ID
+ * 
+ * @param {number|string} value - Value from the query string or body
+ * @returns {boolean} - Whether the value is a valid ID
+ */
+function isIdParameter(value) {
+  return (typeof value === 'number' || typeof value === 'string') && /^[1-9]\d{0,9}$/.test(String(value)) &&
+    Number(value) <= 2147483647;
+}
+
+/**
+ * Check whether a request value is an ISO 8601 date or date-time
+ * 
+ * @param {string} value - Value from the query string
+ * @returns {boolean} - Whether the value is a valid date
+ */
+function isDateParameter(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.exec(value);
+  if (!match || Number.isNaN(Date.parse(value))) {
+    return false;
+  }
+  
+  // Date.parse rolls days like February 31 over into the next month
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+}
+
+/**
+ * Check whether a user is an admin
+ * 
+ * @param {number} userId - User ID
+ * @returns {boolean} - Whether the user has the admin role
+ */
+async function isAdminUser(userId) {
+  const result = await pool.query('SELECT role FROM users WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 && result.rows[0].role === 'admin';
+}
+
+/**
+ * Find who else holds an active claim on a response
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {number} responseId - Question response ID
+ * @param {number} graderId - ID of the grading user
+ * @returns {Object|null} - Claim ({ claimed_by, claimed_at }), or null if the grader may grade the response
+ */
+async function getOtherGradersClaim(db, responseId, graderId) {
+  const result = await db.query(
+    `SELECT claimed_by, claimed_at
+     FROM question_responses
+     WHERE response_id = $1
+       AND claimed_by IS DISTINCT FROM $2::int
+       AND claimed_at >= CURRENT_TIMESTAMP - make_interval(mins => $3)`,
+    [responseId, graderId === undefined ? null : graderId, CLAIM_TIMEOUT_MINUTES]
+  );
+  
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Manual grade question
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or error
+ */
+exports.manualGradeQuestion = async (event) => {
+  try {
+    const { responseId, score, feedback, reason, commentIds = [] } = JSON.parse(event.body);
+    const graderId = event.requestContext.authorizer.claims.sub;
+    
+    // Validate input
+    if (!responseId || score === undefined) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response ID and score are required' })
+      };
+    }
+    
+    // Another grader is working on this response
+    if (await getOtherGradersClaim(pool, responseId, graderId)) {
+      return {
+        statusCode: 409,
+        body: JSON.stringify({ message: 'Response is claimed by another grader' })
+      };
+    }
+    
+    // Add picked bank comments to the feedback
+    const graded = await applyFeedbackComments(pool, responseId, { score, feedback: feedback || '' }, commentIds, graderId);
+    
+    if (graded.errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Invalid feedback comments', errors: graded.errors })
+      };
+    }
+    
+    // Double-marked questions keep each grader's mark until the two are reconciled
+    const markingConfig = await getDoubleMarking(pool, responseId);
+    if (markingConfig) {
+      const marking = await recordIndependentMark(responseId, markingConfig, { score: graded.score, feedback: graded.feedback, graderId }, reason);
+      
+      if (marking.error) {
+        return {
+          statusCode: marking.error.statusCode,
+          body: JSON.stringify({ message: marking.error.message })
+        };
+      }
+      
+      await recordCommentUsage(pool, graded.commentIds);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          message: 'Mark recorded',
+          responseId,
+          ...marking
+        })
+      };
+    }
+    
+    // Update question response
+    await saveResponseScore(
+      pool,
+      responseId,
+      { score: graded.score, feedback: graded.feedback, graderId },
+      { source: 'manual_grade', reason }
+    );
+    await recordCommentUsage(pool, graded.commentIds);
+    
+    // Mark the submission graded once every question has a score
+    const submissionScore = await finalizeSubmissionIfGraded(responseId, graderId, { source: 'manual_grade', reason });
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Question graded successfully',
+        score: graded.score,
+        feedback: graded.feedback,
+        submissionScore
+      })
+    };
+  } catch (error) {
+    console.error('Error in manualGradeQuestion:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Grade a question response against its structured rubric
+ * 
+ * The rubric is stored as { description, criteria: [{ id, name, levels: [{ id, label, points }] }] }
+ * and graders submit one level per criterion.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with the rubric breakdown or error
+ */
+exports.gradeWithRubric = async (event) => {
+  try {
+    const { responseId, selections, feedback, reason, commentIds = [] } = JSON.parse(event.body);
+    const graderId = event.requestContext.authorizer.claims.sub;
+    
+    // Validate input
+    if (!responseId || !selections || typeof selections !== 'object') {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response ID and rubric selections are required' })
+      };
+    }
+    
+    const responseResult = await pool.query(
+      `SELECT qr.response_id, q.points, q.rubric
+       FROM question_responses qr
+       JOIN questions q ON qr.question_id = q.question_id
+       WHERE qr.response_id = $1`,
+      [responseId]
+    );
+    
+    if (responseResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Response not found' })
+      };
+    }
+    
+    // Another grader is working on this response
+    if (await getOtherGradersClaim(pool, responseId, graderId)) {
+      return {
+        statusCode: 409,
+        body: JSON.stringify({ message: 'Response is claimed by another grader' })
+      };
+    }
+    
+    const { points, rubric } = responseResult.rows[0];
+    
+    if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Question does not have a structured rubric' })
+      };
+    }
+    
+    // Validate selections against the rubric and build the per-criterion breakdown
+    const { breakdown, errors } = scoreRubric(rubric, selections);
+    
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Invalid rubric selections', errors })
+      };
+    }
+    
+    const rubricTotal = breakdown.reduce((sum, criterion) => sum + criterion.points, 0);
+    
+    // Add picked bank comments to the feedback
+    const graded = await applyFeedbackComments(
+      pool,
+      responseId,
+      { score: Math.min(rubricTotal, points), feedback: feedback || '' },
+      commentIds,
+      graderId
+    );
+    
+    if (graded.errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Invalid feedback comments', errors: graded.errors })
+      };
+    }
+    
+    const score = graded.score;
+    
+    // Double-marked questions keep each grader's mark until the two are reconciled
+    const markingConfig = await getDoubleMarking(pool, responseId);
+    if (markingConfig) {
+      const marking = await recordIndependentMark(responseId, markingConfig, { score, feedback: graded.feedback, details: { rubric: breakdown }, graderId }, reason);
+      
+      if (marking.error) {
+        return {
+          statusCode: marking.error.statusCode,
+          body: JSON.stringify({ message: marking.error.message })
+        };
+      }
+      
+      await recordCommentUsage(pool, graded.commentIds);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          message: 'Mark recorded',
+          responseId,
+          ...marking
+        })
+      };
+    }
+    
+    await saveResponseScore(
+      pool,
+      responseId,
+      { score, feedback: graded.feedback, details: { rubric: breakdown }, graderId },
+      { source: 'rubric_grade', reason }
+    );
+    await recordCommentUsage(pool, graded.commentIds);
+    
+    // Mark the submission graded once every question has a score
+    const submissionScore = await finalizeSubmissionIfGraded(responseId, graderId, { source: 'rubric_grade', reason });
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Question graded successfully',
+        responseId,
+        score,
+        feedback: graded.feedback,
+        rubric: breakdown,
+        submissionScore
+      })
+    };
+  } catch (error) {
+    console.error('Error in gradeWithRubric:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Score rubric selections
+ * 
+ * @param {Object} rubric - Rubric with criteria and performance levels
+ * @param {Object} selections - Selected level ID by criterion ID
+ * @returns {Object} - Per-criterion breakdown and validation errors
+ */
+function scoreRubric(rubric, selections) {
+  const breakdown = [];
+  const errors = [];
+  
+  for (const criterion of rubric.criteria) {
+    const levelId = selections[criterion.id];
+    
+    if (levelId === undefined || levelId === null) {
+      errors.push(`No level selected for criterion ${criterion.name || criterion.id}`);
+      continue;
+    }
+    
+    const level = (criterion.levels || []).find(candidate => candidate.id === levelId);
+    
+    if (!level) {
+      errors.push(`Level ${levelId} does not exist for criterion ${criterion.name || criterion.id}`);
+      continue;
+    }
+    
+    breakdown.push({
+      criterionId: criterion.id,
+      name: criterion.name,
+      levelId: level.id,
+      label: level.label,
+      points: Number(level.points),
+      maxPoints: Math.max(...criterion.levels.map(candidate => Number(candidate.points)))
+    });
+  }
+  
+  const unknown = Object.keys(selections).filter(criterionId => 
+    !rubric.criteria.some(criterion => String(criterion.id) === criterionId)
+  );
+  for (const criterionId of unknown) {
+    errors.push(`Criterion ${criterionId} is not part of the rubric`);
+  }
+  
+  return { breakdown, errors };
+}
+
+/**
+ * Get the bank comments a grader can use on a question
+ * 
+ * Includes the grader's personal comments and the comments shared with the
+ * question's course, that are tied to no question or to this one. Most used
+ * comments come first. Only the course's teachers and admins can list them.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with comments or error
+ */
+exports.getFeedbackComments = async (event) => {
+  try {
+    const { questionId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const questionResult = await pool.query(
+      `SELECT q.question_id, q.rubric, a.course_id,
+              EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM questions q
+       JOIN assignments a ON q.assignment_id = a.assignment_id
+       WHERE q.question_id = $1`,
+      [questionId, userId]
+    );
+    
+    if (questionResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Question not found' })
+      };
+    }
+    
+    const question = questionResult.rows[0];
+    
+    if (!question.is_course_teacher && question.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can use the comment bank for this question' })
+      };
+    }
+    
+    const commentsResult = await pool.query(
+      `SELECT comment_id, owner_id, course_id, question_id, rubric_criterion_id, text,
+              point_adjustment, usage_count, last_used_at
+       FROM feedback_comments
+       WHERE (question_id IS NULL OR question_id = $1)
+         AND ((course_id IS NULL AND owner_id = $2) OR course_id = $3)
+       ORDER BY usage_count DESC, comment_id`,
+      [question.question_id, userId, question.course_id]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        questionId: question.question_id,
+        criteria: question.rubric && Array.isArray(question.rubric.criteria)
+          ? question.rubric.criteria.map(criterion => ({ id: criterion.id, name: criterion.name }))
+          : [],
+        comments: commentsResult.rows.map(formatFeedbackComment)
+      })
+    };
+  } catch (error) {
+    console.error('Error in getFeedbackComments:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Add a comment to the feedback comment bank
+ * 
+ * Comments without a course are personal to their owner. Comments tied to a
+ * question are shared with that question's course. Only the course's teachers
+ * and admins can share comments with a course.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with the comment or validation errors
+ */
+exports.createFeedbackComment = async (event) => {
+  try {
+    const { text, courseId, questionId, rubricCriterionId, pointAdjustment = 0 } = JSON.parse(event.body);
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const { errors, resolvedCourseId } = await validateFeedbackComment(pool, {
+      text,
+      courseId,
+      questionId,
+      rubricCriterionId,
+      pointAdjustment
+    });
+    
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Invalid feedback comment', errors })
+      };
+    }
+    
+    if (resolvedCourseId !== null) {
+      const accessResult = await pool.query(
+        `SELECT EXISTS (
+                  SELECT 1 FROM course_teachers ct
+                  JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                  WHERE ct.course_id = $1 AND tp.user_id = $2
+                ) AS is_course_teacher,
+                (SELECT role FROM users WHERE user_id = $2) AS requester_role`,
+        [resolvedCourseId, userId]
+      );
+      const access = accessResult.rows[0];
+      
+      if (!access.is_course_teacher && access.requester_role !== 'admin') {
+        return {
+          statusCode: 403,
+          body: JSON.stringify({ message: 'Only the course teacher can share comments with this course' })
+        };
+      }
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO feedback_comments (owner_id, course_id, question_id, rubric_criterion_id, text, point_adjustment)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING comment_id, owner_id, course_id, question_id, rubric_criterion_id, text,
+                 point_adjustment, usage_count, last_used_at`,
+      [userId, resolvedCourseId, questionId || null, rubricCriterionId || null, text.trim(), pointAdjustment]
+    );
+    
+    return {
+      statusCode: 201,
+      body: JSON.stringify({
+        message: 'Feedback comment created successfully',
+        comment: formatFeedbackComment(result.rows[0])
+      })
+    };
+  } catch (error) {
+    console.error('Error in createFeedbackComment:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Update a comment in the feedback comment bank
+ * 
+ * Only the comment's owner can change it. Its course and question stay the same.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with the comment or error
+ */
+exports.updateFeedbackComment = async (event) => {
+  try {
+    const { commentId } = event.pathParameters;
+    const { text, rubricCriterionId, pointAdjustment = 0 } = JSON.parse(event.body);
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const commentResult = await pool.query(
+      'SELECT owner_id, course_id, question_id FROM feedback_comments WHERE comment_id = $1',
+      [commentId]
+    );
+    
+    if (commentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Feedback comment not found' })
+      };
+    }
+    
+    const existing = commentResult.rows[0];
+    
+    if (String(existing.owner_id) !== String(userId)) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the comment owner can change it' })
+      };
+    }
+    
+    const { errors } = await validateFeedbackComment(pool, {
+      text,
+      courseId: existing.course_id,
+      questionId: existing.question_id,
+      rubricCriterionId,
+      pointAdjustment
+    });
+    
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Invalid feedback comment', errors })
+      };
+    }
+    
+    const result = await pool.query(
+      `UPDATE feedback_comments
+       SET text = $1, rubric_criterion_id = $2, point_adjustment = $3
+       WHERE comment_id = $4
+       RETURNING comment_id, owner_id, course_id, question_id, rubric_criterion_id, text,
+                 point_adjustment, usage_count, last_used_at`,
+      [text.trim(), rubricCriterionId || null, pointAdjustment, commentId]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Feedback comment updated successfully',
+        comment: formatFeedbackComment(result.rows[0])
+      })
+    };
+  } catch (error) {
+    console.error('Error in updateFeedbackComment:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Remove a comment from the feedback comment bank
+ * 
+ * Feedback already given with the comment is kept.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or error
+ */
+exports.deleteFeedbackComment = async (event) => {
+  try {
+    const { commentId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const result = await pool.query(
+      'SELECT owner_id FROM feedback_comments WHERE comment_id = $1',
+      [commentId]
+    );
+    
+    if (result.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Feedback comment not found' })
+      };
+    }
+    
+    if (String(result.rows[0].owner_id) !== String(userId)) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the comment owner can delete it' })
+      };
+    }
+    
+    await pool.query('DELETE FROM feedback_comments WHERE comment_id = $1', [commentId]);
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ message: 'Feedback comment deleted successfully' })
+    };
+  } catch (error) {
+    console.error('Error in deleteFeedbackComment:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Validate a feedback comment
+ * 
+ * A comment tied to a question belongs to that question's course, and a rubric
+ * criterion must be part of the question's rubric.
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {Object} comment - Comment ({ text, courseId, questionId, rubricCriterionId, pointAdjustment })
+ * @returns {Object} - Validation errors and the comment's course ID
+ */
+async function validateFeedbackComment(db, comment) {
+  const { text, courseId, questionId, rubricCriterionId, pointAdjustment } = comment;
+  const errors = [];
+  let resolvedCourseId = courseId || null;
+  
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    errors.push('Comment text is required');
+  } else {
+    for (const name of commentBank.unknownPlaceholders(text)) {
+      errors.push(`Unknown placeholder {${name}}`);
+    }
+  }
+  
+  if (!Number.isFinite(Number(pointAdjustment))) {
+    errors.push('Point adjustment must be a number');
+  }
+  
+  if (rubricCriterionId && !questionId) {
+    errors.push('A rubric criterion can only be set for a question');
+  }
+  
+  if ((courseId && !isIdParameter(courseId)) || (questionId && !isIdParameter(questionId))) {
+    errors.push('Course and question IDs must be positive integers');
+    return { errors, resolvedCourseId };
+  }
+  
+  if (questionId) {
+    const questionResult = await db.query(
+      `SELECT q.rubric, a.course_id
+       FROM questions q
+       JOIN assignments a ON q.assignment_id = a.assignment_id
+       WHERE q.question_id = $1`,
+      [questionId]
+    );
+    
+    if (questionResult.rows.length === 0) {
+      errors.push(`Question ${questionId} does not exist`);
+    } else {
+      const question = questionResult.rows[0];
+      
+      if (courseId && String(courseId) !== String(question.course_id)) {
+        errors.push('Question does not belong to the course');
+      }
+      resolvedCourseId = question.course_id;
+      
+      const criteria = question.rubric && Array.isArray(question.rubric.criteria) ? question.rubric.criteria : [];
+      if (rubricCriterionId && !criteria.some(criterion => String(criterion.id) === String(rubricCriterionId))) {
+        errors.push(`Criterion ${rubricCriterionId} is not part of the question's rubric`);
+      }
+    }
+  }
+  
+  return { errors, resolvedCourseId };
+}
+
+/**
+ * Format a feedback comment row for a response
+ * 
+ * @param {Object} row - feedback_comments row
+ * @returns {Object} - Comment
+ */
+function formatFeedbackComment(row) {
+  return {
+    commentId: row.comment_id,
+    ownerId: row.owner_id,
+    courseId: row.course_id,
+    questionId: row.question_id,
+    rubricCriterionId: row.rubric_criterion_id,
+    text: row.text,
+    pointAdjustment: Number(row.point_adjustment),
+    usageCount: row.usage_count,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+/**
+ * Add bank comments to a grader's feedback for a response
+ * 
+ * Comments must be the grader's own or shared with the question's course, and
+ * tied to no question or to this one. Placeholders are filled in for the
+ * student and point adjustments are added to the score, which stays between
+ * zero and the question's points. While the assignment is anonymized the
+ * placeholders are kept and only filled in when it is de-anonymized.
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {number} responseId - Question response ID
+ * @param {Object} grade - Grader's score and feedback ({ score, feedback })
+ * @param {Array} commentIds - Picked comment IDs, in the order they should appear
+ * @param {number} graderId - ID of the grading user
+ * @returns {Object} - { score, feedback, commentIds, errors }
+ */
+async function applyFeedbackComments(db, responseId, grade, commentIds, graderId) {
+  if (!Array.isArray(commentIds) || !commentIds.every(isIdParameter)) {
+    return { ...grade, commentIds: [], errors: ['Comment IDs must be a list of positive integers'] };
+  }
+  
+  const ids = [...new Set(commentIds.map(String))];
+  
+  if (ids.length === 0) {
+    return { ...grade, commentIds: [], errors: [] };
+  }
+  
+  const responseResult = await db.query(
+    `SELECT qr.question_id, q.points, a.course_id, sp.first_name, sp.last_name,
+            a.is_anonymous, a.deanonymized_at
+     FROM question_responses qr
+     JOIN questions q ON qr.question_id = q.question_id
+     JOIN assignments a ON q.assignment_id = a.assignment_id
+     JOIN submissions s ON qr.submission_id = s.submission_id
+     JOIN student_profiles sp ON s.student_id = sp.student_id
+     WHERE qr.response_id = $1`,
+    [responseId]
+  );
+  
+  if (responseResult.rows.length === 0) {
+    return { ...grade, commentIds: [], errors: ['Response not found'] };
+  }
+  
+  const response = responseResult.rows[0];
+  
+  const commentsResult = await db.query(
+    `SELECT comment_id, owner_id, course_id, question_id, text, point_adjustment
+     FROM feedback_comments
+     WHERE comment_id = ANY($1::int[])`,
+    [ids]
+  );
+  const comments = new Map(commentsResult.rows.map(comment => [String(comment.comment_id), comment]));
+  
+  const errors = [];
+  for (const id of ids) {
+    const comment = comments.get(id);
+    
+    if (!comment) {
+      errors.push(`Comment ${id} does not exist`);
+    } else if (comment.course_id === null
+      ? String(comment.owner_id) !== String(graderId)
+      : String(comment.course_id) !== String(response.course_id)) {
+      errors.push(`Comment ${id} is not available for this course`);
+    } else if (comment.question_id !== null && String(comment.question_id) !== String(response.question_id)) {
+      errors.push(`Comment ${id} belongs to a different question`);
+    }
+  }
+  
+  if (errors.length > 0) {
+    return { ...grade, commentIds: [], errors };
+  }
+  
+  const composed = commentBank.composeFeedback(
+    grade.feedback,
+    ids.map(id => ({ text: comments.get(id).text, pointAdjustment: comments.get(id).point_adjustment })),
+    anonymizer.isHidden(response) ? null : { firstName: response.first_name, lastName: response.last_name }
+  );
+  
+  return {
+    score: Math.min(Math.max(Number(grade.score) + composed.pointAdjustment, 0), Number(response.points)),
+    feedback: composed.feedback,
+    commentIds: ids,
+    errors: []
+  };
+}
+
+/**
+ * Count a use of each picked bank comment
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {Array} commentIds - Comment IDs
+ */
+async function recordCommentUsage(db, commentIds) {
+  if (commentIds.length === 0) {
+    return;
+  }
+  
+  await db.query(
+    `UPDATE feedback_comments
+     SET usage_count = usage_count + 1, last_used_at = CURRENT_TIMESTAMP
+     WHERE comment_id = ANY($1::int[])`,
+    [commentIds]
+  );
+}
+
+/**
+ * Configure double marking for an assignment
+ * 
+ * The selected questions are marked independently by two graders. Marks more
+ * than the threshold (in points) apart go to a moderator. An empty question
+ * list turns double marking off. Only the course's teachers and admins can
+ * change it.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or validation errors
+ */
+exports.setDoubleMarking = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const { questionIds = [], threshold = 0 } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can change double marking for this assignment' })
+      };
+    }
+    
+    const errors = [];
+    if (!Array.isArray(questionIds)) {
+      errors.push('Question IDs must be a list');
+    }
+    if (!Number.isFinite(Number(threshold)) || Number(threshold) < 0) {
+      errors.push('Threshold must be a non-negative number of points');
+    }
+    
+    if (errors.length === 0 && questionIds.length > 0) {
+      const questionsResult = await pool.query(
+        'SELECT question_id FROM questions WHERE assignment_id = $1 AND question_id = ANY($2::int[])',
+        [assignmentId, questionIds]
+      );
+      const found = new Set(questionsResult.rows.map(row => String(row.question_id)));
+      for (const questionId of questionIds.filter(id => !found.has(String(id)))) {
+        errors.push(`Question ${questionId} is not part of the assignment`);
+      }
+    }
+    
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Invalid double marking settings', errors })
+      };
+    }
+    
+    const config = questionIds.length > 0
+      ? { questionIds: questionIds.map(Number), threshold: Number(threshold) }
+      : null;
+    
+    await pool.query(
+      'UPDATE assignments SET double_marking = $1 WHERE assignment_id = $2',
+      [config, assignmentId]
+    );
+    
+    await pool.query(
+      `INSERT INTO audit_logs (user_id, action_type, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, 'double_marking_update', 'assignment', assignmentId, { doubleMarking: config }]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: config ? 'Double marking enabled' : 'Double marking disabled',
+        assignmentId,
+        doubleMarking: config
+      })
+    };
+  } catch (error) {
+    console.error('Error in setDoubleMarking:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Decide the final mark of a response the two graders disagreed on
+ * 
+ * Only the course's teachers and admins can moderate, and the moderator cannot
+ * be one of the response's graders.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with the final score or error
+ */
+exports.moderateResponse = async (event) => {
+  try {
+    const { responseId } = event.pathParameters;
+    const { score, feedback, reason } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (score === undefined || score === null) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Score is required' })
+      };
+    }
+    
+    const responseResult = await pool.query(
+      `SELECT qr.moderation_status, q.points,
+              EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM question_responses qr
+       JOIN questions q ON qr.question_id = q.question_id
+       JOIN assignments a ON q.assignment_id = a.assignment_id
+       WHERE qr.response_id = $1`,
+      [responseId, userId]
+    );
+    
+    if (responseResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Response not found' })
+      };
+    }
+    
+    const response = responseResult.rows[0];
+    
+    if (!response.is_course_teacher && response.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can moderate this response' })
+      };
+    }
+    
+    if (response.moderation_status !== 'needs_moderation') {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response does not need moderation' })
+      };
+    }
+    
+    if (!Number.isFinite(Number(score)) || Number(score) < 0 || Number(score) > Number(response.points)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: `Score must be between 0 and ${response.points}` })
+      };
+    }
+    
+    const marksResult = await pool.query(
+      'SELECT grader_id, score, details FROM response_marks WHERE response_id = $1 ORDER BY mark_id',
+      [responseId]
+    );
+    
+    if (marksResult.rows.some(mark => String(mark.grader_id) === String(userId))) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Graders cannot moderate responses they marked' })
+      };
+    }
+    
+    // Begin transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      await saveResponseScore(
+        client,
+        responseId,
+        {
+          score: Number(score),
+          feedback: feedback || '',
+          details: { marks: marksResult.rows.map(formatMark), moderatedBy: userId },
+          graderId: userId
+        },
+        { source: 'moderation', reason }
+      );
+      
+      await client.query(
+        `UPDATE question_responses SET moderation_status = 'moderated' WHERE response_id = $1`,
+        [responseId]
+      );
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    // Mark the submission graded once every question has a score
+    const submissionScore = await finalizeSubmissionIfGraded(responseId, userId, { source: 'moderation', reason });
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Response moderated successfully',
+        responseId,
+        score: Number(score),
+        submissionScore
+      })
+    };
+  } catch (error) {
+    console.error('Error in moderateResponse:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * List the responses of an assignment waiting for a moderator
+ * 
+ * Students are shown under their pseudonyms while the assignment is anonymized.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with responses and both marks or error
+ */
+exports.getModerationQueue = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can view the moderation queue for this assignment' })
+      };
+    }
+    
+    const responsesResult = await pool.query(
+      `SELECT qr.response_id, qr.question_id, q.content AS question_content, q.points, qr.response_data,
+              s.submission_id, s.student_id, sp.first_name, sp.last_name,
+              a.is_anonymous, a.anonymous_key, a.deanonymized_at
+       FROM question_responses qr
+       JOIN questions q ON qr.question_id = q.question_id
+       JOIN assignments a ON q.assignment_id = a.assignment_id
+       JOIN submissions s ON qr.submission_id = s.submission_id
+       JOIN student_profiles sp ON s.student_id = sp.student_id
+       WHERE q.assignment_id = $1 AND qr.moderation_status = 'needs_moderation'
+       ORDER BY q.order_num, qr.response_id`,
+      [assignmentId]
+    );
+    
+    const marksResult = await pool.query(
+      `SELECT rm.response_id, rm.grader_id, u.username AS grader_username, rm.score, rm.feedback, rm.details, rm.marked_at
+       FROM response_marks rm
+       JOIN question_responses qr ON rm.response_id = qr.response_id
+       JOIN questions q ON qr.question_id = q.question_id
+       LEFT JOIN users u ON rm.grader_id = u.user_id
+       WHERE q.assignment_id = $1 AND qr.moderation_status = 'needs_moderation'
+       ORDER BY rm.mark_id`,
+      [assignmentId]
+    );
+    
+    const marks = new Map();
+    for (const mark of marksResult.rows) {
+      if (!marks.has(mark.response_id)) {
+        marks.set(mark.response_id, []);
+      }
+      marks.get(mark.response_id).push({
+        ...formatMark(mark),
+        graderUsername: mark.grader_username,
+        feedback: mark.feedback,
+        markedAt: mark.marked_at
+      });
+    }
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        assignmentId,
+        responses: responsesResult.rows.map(response => ({
+          responseId: response.response_id,
+          questionId: response.question_id,
+          questionContent: response.question_content,
+          points: response.points,
+          responseData: response.response_data,
+          ...anonymizedStudent(response, response),
+          marks: marks.get(response.response_id) || []
+        }))
+      })
+    };
+  } catch (error) {
+    console.error('Error in getModerationQueue:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Report inter-rater agreement for a double-marked assignment
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with overall and per-grader statistics or error
+ */
+exports.getMarkerAgreement = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT a.double_marking,
+              EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can view marker agreement for this assignment' })
+      };
+    }
+    
+    const config = assignment.double_marking;
+    const threshold = config ? Number(config.threshold) : 0;
+    
+    const marksResult = await pool.query(
+      `SELECT rm.response_id, rm.grader_id, u.username AS grader_username, rm.score,
+              qr.score AS final_score, qr.moderation_status
+       FROM response_marks rm
+       JOIN question_responses qr ON rm.response_id = qr.response_id
+       JOIN questions q ON qr.question_id = q.question_id
+       LEFT JOIN users u ON rm.grader_id = u.user_id
+       WHERE q.assignment_id = $1
+       ORDER BY rm.response_id, rm.mark_id`,
+      [assignmentId]
+    );
+    
+    const responses = new Map();
+    const usernames = new Map();
+    for (const row of marksResult.rows) {
+      if (!responses.has(row.response_id)) {
+        responses.set(row.response_id, {
+          responseId: row.response_id,
+          marks: [],
+          finalScore: row.final_score,
+          moderated: row.moderation_status === 'moderated'
+        });
+      }
+      responses.get(row.response_id).marks.push({ graderId: row.grader_id, score: Number(row.score) });
+      usernames.set(String(row.grader_id), row.grader_username);
+    }
+    
+    const agreement = doubleMarking.analyzeAgreement([...responses.values()], threshold);
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        assignmentId,
+        threshold,
+        overall: agreement.overall,
+        graders: agreement.graders.map(grader => ({
+          ...grader,
+          username: usernames.get(String(grader.graderId))
+        }))
+      })
+    };
+  } catch (error) {
+    console.error('Error in getMarkerAgreement:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Get the double marking settings that apply to a response
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {number} responseId - Question response ID
+ * @returns {Object|null} - Settings ({ questionIds, threshold }), or null if the question is marked once
+ */
+async function getDoubleMarking(db, responseId) {
+  const result = await db.query(
+    `SELECT qr.question_id, a.double_marking
+     FROM question_responses qr
+     JOIN questions q ON qr.question_id = q.question_id
+     JOIN assignments a ON q.assignment_id = a.assignment_id
+     WHERE qr.response_id = $1`,
+    [responseId]
+  );
+  
+  if (result.rows.length === 0) {
+    return null;
+  }
+  
+  const { question_id: questionId, double_marking: config } = result.rows[0];
+  return doubleMarking.isDoubleMarked(config, questionId) ? config : null;
+}
+
+/**
+ * Record one grader's independent mark for a double-marked response
+ * 
+ * The response's score is only written once two marks agree. Marks that
+ * disagree send the response to moderation. A grader can change their mark
+ * until the response is reconciled, and a third grader cannot add a mark.
+ * 
+ * @param {number} responseId - Question response ID
+ * @param {Object} config - Double marking settings ({ questionIds, threshold })
+ * @param {Object} mark - The grader's mark ({ score, feedback, details, graderId })
+ * @param {string} reason - Reason recorded in the grade history
+ * @returns {Object} - { status, marksRecorded, submissionScore } or { error: { statusCode, message } }
+ */
+async function recordIndependentMark(responseId, config, mark, reason) {
+  if (!mark.graderId) {
+    return { error: { statusCode: 400, message: 'Grader ID is required for double-marked questions' } };
+  }
+  
+  let outcome;
+  let marks;
+  
+  // Begin transaction
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const responseResult = await client.query(
+      'SELECT moderation_status FROM question_responses WHERE response_id = $1 FOR UPDATE',
+      [responseId]
+    );
+    const status = responseResult.rows[0].moderation_status;
+    
+    if (status === 'agreed' || status === 'moderated') {
+      await client.query('ROLLBACK');
+      return { error: { statusCode: 409, message: 'Marks for this response have already been reconciled' } };
+    }
+    
+    const existingResult = await client.query(
+      'SELECT grader_id FROM response_marks WHERE response_id = $1',
+      [responseId]
+    );
+    const isOwnMark = existingResult.rows.some(row => String(row.grader_id) === String(mark.graderId));
+    
+    if (existingResult.rows.length >= 2 && !isOwnMark) {
+      await client.query('ROLLBACK');
+      return { error: { statusCode: 409, message: 'Response already has two independent marks' } };
+    }
+    
+    await client.query(
+      `INSERT INTO response_marks (response_id, grader_id, score, feedback, details)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (response_id, grader_id)
+       DO UPDATE SET score = EXCLUDED.score, feedback = EXCLUDED.feedback, details = EXCLUDED.details,
+                     marked_at = CURRENT_TIMESTAMP`,
+      [responseId, mark.graderId, mark.score, mark.feedback, mark.details === undefined ? null : mark.details]
+    );
+    
+    const marksResult = await client.query(
+      'SELECT grader_id, score, feedback, details FROM response_marks WHERE response_id = $1 ORDER BY mark_id',
+      [responseId]
+    );
+    marks = marksResult.rows;
+    outcome = doubleMarking.reconcileMarks(
+      marks.map(row => ({ graderId: row.grader_id, score: row.score })),
+      config.threshold
+    );
+    
+    await client.query(
+      // The grader is done with the response, so their claim is released
+      `UPDATE question_responses
+       SET moderation_status = $1, claimed_by = NULL, claimed_at = NULL
+       WHERE response_id = $2`,
+      [outcome.status, responseId]
+    );
+    
+    if (outcome.status === 'agreed') {
+      await saveResponseScore(
+        client,
+        responseId,
+        {
+          score: outcome.score,
+          feedback: marks.map(row => row.feedback).filter(Boolean).join('\n\n'),
+          details: { marks: marks.map(formatMark) },
+          graderId: mark.graderId
+        },
+        { source: 'double_mark', reason }
+      );
+    }
+    
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  // Mark the submission graded once every question has a score
+  const submissionScore = outcome.status === 'agreed'
+    ? await finalizeSubmissionIfGraded(responseId, mark.graderId, { source: 'double_mark', reason })
+    : null;
+  
+  // The other grader's mark is not returned so marking stays independent
+  return { status: outcome.status, marksRecorded: marks.length, submissionScore };
+}
+
+/**
+ * Format an independent mark for grading details
+ * 
+ * @param {Object} row - response_marks row
+ * @returns {Object} - { graderId, score, ...details }
+ */
+function formatMark(row) {
+  return { graderId: row.grader_id, score: Number(row.score), ...(row.details || {}) };
+}
+
+/**
+ * Mark a submission graded when all of its questions have scores
+ * 
+ * @param {number} responseId - ID of a response in the submission
+ * @param {number} graderId - ID of the grading user
+ * @param {Object} change - Grade history source and reason
+ * @returns {Object|null} - Final score breakdown, or null if questions are still ungraded
+ */
+async function finalizeSubmissionIfGraded(responseId, graderId, change) {
+  // Check if all questions in the submission are graded
+  const submissionResult = await pool.query(
+    `SELECT s.submission_id,
+            COUNT(qr.response_id) AS total_questions,
+            COUNT(qr.score) AS graded_questions,
+            COALESCE(SUM(qr.score), 0) AS total_score
+     FROM submissions s
+     JOIN question_responses qr ON qr.submission_id = s.submission_id
+     WHERE s.submission_id = (SELECT submission_id FROM question_responses WHERE response_id = $1)
+     GROUP BY s.submission_id`,
+    [responseId]
+  );
+  
+  if (submissionResult.rows.length > 0) {
+    const submission = submissionResult.rows[0];
+    
+    // If all questions are graded, update submission status
+    if (submission.total_questions === submission.graded_questions) {
+      return finalizeSubmissionScore(pool, submission.submission_id, Number(submission.total_score), graderId, change);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Write a question response's score and record the change in the grade history
+ * 
+ * Both writes happen in one transaction.
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {number} responseId - Question response ID
+ * @param {Object} grade - New values ({ score, feedback, details, graderId }); details are kept if omitted
+ * @param {Object} change - Grade history source, reason and acting user ({ source, reason, changedBy })
+ * @returns {Object|null} - Previous score and feedback, or null if the response does not exist
+ */
+async function saveResponseScore(db, responseId, grade, change) {
+  return withTransaction(db, client => writeResponseScore(client, responseId, grade, change));
+}
+
+/**
+ * Write a question response's score and its grade history entry (see saveResponseScore)
+ * 
+ * @param {Object} db - Database client
+ * @param {number} responseId - Question response ID
+ * @param {Object} grade - New values ({ score, feedback, details, graderId })
+ * @param {Object} change - Grade history source, reason and acting user ({ source, reason, changedBy })
+ * @returns {Object|null} - Previous score and feedback, or null if the response does not exist
+ */
+async function writeResponseScore(db, responseId, grade, change) {
+  const { score, feedback, details, graderId = null } = grade;
+  
+  const result = await db.query(
+    `UPDATE question_responses qr
+     SET score = $1, feedback = $2,
+         grading_details = CASE WHEN $3 THEN $4::jsonb ELSE qr.grading_details END,
+         graded_at = CURRENT_TIMESTAMP, graded_by = $5,
+         claimed_by = NULL, claimed_at = NULL
+     FROM (SELECT response_id, score, feedback FROM question_responses WHERE response_id = $6 FOR UPDATE) old
+     WHERE qr.response_id = old.response_id
+     RETURNING qr.submission_id, old.score AS old_score, old.feedback AS old_feedback`,
+    [score, feedback, details !== undefined, details === undefined ? null : details, graderId, responseId]
+  );
+  
+  if (result.rows.length === 0) {
+    return null;
+  }
+  
+  const previous = result.rows[0];
+  
+  // A grader replacing an existing score overrides it
+  const overridden = previous.old_score !== null && ['manual_grade', 'rubric_grade'].includes(change.source);
+  
+  await recordGradeChange(db, {
+    submissionId: previous.submission_id,
+    responseId,
+    oldScore: previous.old_score,
+    newScore: score,
+    oldFeedback: previous.old_feedback,
+    newFeedback: feedback,
+    changedBy: change.changedBy !== undefined ? change.changedBy : graderId,
+    source: overridden ? 'override' : change.source,
+    reason: change.reason
+  });
+  
+  return { score: previous.old_score, feedback: previous.old_feedback };
+}
+
+/**
+ * Run database work in a transaction
+ * 
+ * A client is assumed to be in the caller's transaction already, so work
+ * only gets a transaction of its own when given the pool.
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {Function} work - Async function called with the client to use
+ * @returns {*} - Result of the work
+ */
+async function withTransaction(db, work) {
+  if (db !== pool) {
+    return work(db);
+  }
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Append an entry to the grade history
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {Object} entry - Submission/response IDs, old and new values, actor, source and reason
+ */
+async function recordGradeChange(db, entry) {
+  await db.query(
+    `INSERT INTO grade_history
+     (submission_id, response_id, old_score, new_score, old_feedback, new_feedback, changed_by, source, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      entry.submissionId,
+      entry.responseId,
+      entry.oldScore,
+      entry.newScore,
+      entry.oldFeedback,
+      entry.newFeedback,
+      entry.changedBy || null,
+      entry.source,
+      entry.reason || null
+    ]
+  );
+}
+
+/**
+ * Record a submission's final score, applying its late penalty
+ * 
+ * The score and its grade history entry are written in one transaction.
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {number} submissionId - Submission ID
+ * @param {number} rawScore - Sum of question scores before any penalty
+ * @param {number} graderId - ID of the grading user (optional)
+ * @param {Object} change - Grade history source, reason and acting user ({ source, reason, changedBy })
+ * @returns {Object} - Raw score, late penalty, total score and lateness
+ */
+async function finalizeSubmissionScore(db, submissionId, rawScore, graderId = null, change = {}) {
+  return withTransaction(db, client => writeSubmissionScore(client, submissionId, rawScore, graderId, change));
+}
+
+/**
+ * Record a submission's final score and its grade history entry (see finalizeSubmissionScore)
+ * 
+ * @param {Object} db - Database client
+ * @param {number} submissionId - Submission ID
+ * @param {number} rawScore - Sum of question scores before any penalty
+ * @param {number} graderId - ID of the grading user (optional)
+ * @param {Object} change - Grade history source, reason and acting user ({ source, reason, changedBy })
+ * @returns {Object} - Raw score, late penalty, total score and lateness
+ */
+async function writeSubmissionScore(db, submissionId, rawScore, graderId, change) {
+  const { submission, lateness } = await getSubmissionLateness(db, submissionId);
+  
+  // Past the hard cutoff the whole score is lost; a waiver removes the penalty entirely
+  let latePenalty = lateness.pastCutoff ? rawScore : Math.min(rawScore, lateness.penaltyPoints);
+  if (submission.penalty_waived) {
+    latePenalty = 0;
+  }
+  latePenalty = Math.round(latePenalty * 100) / 100; // Round to 2 decimal places
+  const totalScore = Math.round((rawScore - latePenalty) * 100) / 100;
+  
+  const updateResult = await db.query(
+    `UPDATE submissions s
+     SET status = 'graded', raw_score = $1, late_penalty = $2, total_score = $3, is_late = $4,
+         graded_at = CURRENT_TIMESTAMP, graded_by = COALESCE($5, s.graded_by)
+     FROM (SELECT submission_id, total_score, feedback FROM submissions WHERE submission_id = $6 FOR UPDATE) old
+     WHERE s.submission_id = old.submission_id
+     RETURNING old.total_score AS old_score, old.feedback AS old_feedback`,
+    [rawScore, latePenalty, totalScore, lateness.isLate, graderId, submissionId]
+  );
+  
+  const previous = updateResult.rows[0];
+  await recordGradeChange(db, {
+    submissionId,
+    responseId: null,
+    oldScore: previous.old_score,
+    newScore: totalScore,
+    oldFeedback: previous.old_feedback,
+    newFeedback: previous.old_feedback,
+    changedBy: change.changedBy !== undefined ? change.changedBy : graderId,
+    source: change.source || 'auto_grade',
+    reason: change.reason
+  });
+  
+  return {
+    rawScore,
+    latePenalty,
+    totalScore,
+    isLate: lateness.isLate,
+    pastCutoff: lateness.pastCutoff,
+    penaltyWaived: submission.penalty_waived === true
+  };
+}
+
+/**
+ * Get a submission with its applicable late policy and lateness
+ * 
+ * The assignment's late policy takes precedence over its category's policy.
+ * 
+ * @param {Object} db - Database client or pool
+ * @param {number} submissionId - Submission ID
+ * @returns {Object} - Submission row and calculated lateness
+ */
+async function getSubmissionLateness(db, submissionId) {
+  const result = await db.query(
+    `SELECT s.submission_id, s.submitted_at, s.penalty_waived,
+            a.due_date, a.available_until, a.total_points,
+            COALESCE(a.late_policy, ac.late_policy) AS late_policy
+     FROM submissions s
+     JOIN assignments a ON s.assignment_id = a.assignment_id
+     LEFT JOIN assignment_categories ac ON a.category_id = ac.category_id
+     WHERE s.submission_id = $1`,
+    [submissionId]
+  );
+  
+  const submission = result.rows[0];
+  
+  return { submission, lateness: calculateLatePenalty(submission.late_policy, submission) };
+}
+
+/**
+ * Calculate the late penalty for a submission
+ * 
+ * Late policy fields:
+ * - penaltyPercent: percent of the assignment's total points deducted per period late
+ * - per: 'day' (default) or 'hour'; partial periods count as a whole period
+ * - maxPenaltyPercent: cap on the total deduction
+ * - gracePeriodMinutes: lateness that is not penalized
+ * - cutoffHours: hours after the due date after which the score is zero
+ * - hardCutoff: when true, the score is zero after the assignment's available_until
+ * 
+ * @param {Object} policy - Late policy (or null)
+ * @param {Object} submission - Row with submitted_at, due_date, available_until and total_points
+ * @returns {Object} - Minutes late, lateness flags, penalty percent and points
+ */
+function calculateLatePenalty(policy, submission) {
+  const result = { minutesLate: 0, isLate: false, pastCutoff: false, penaltyPercent: 0, penaltyPoints: 0 };
+  
+  if (!submission.due_date || !submission.submitted_at) {
+    return result;
+  }
+  
+  const dueDate = new Date(submission.due_date);
+  const submittedAt = new Date(submission.submitted_at);
+  result.minutesLate = Math.max(0, Math.ceil((submittedAt - dueDate) / 60000));
+  
+  if (!policy) {
+    result.isLate = result.minutesLate > 0;
+    return result;
+  }
+  
+  if (result.minutesLate <= (policy.gracePeriodMinutes || 0)) {
+    return result;
+  }
+  
+  result.isLate = true;
+  
+  // Hard cutoff: relative to the due date, or the end of the availability window
+  let cutoff = null;
+  if (policy.cutoffHours !== undefined && policy.cutoffHours !== null) {
+    cutoff = new Date(dueDate.getTime() + policy.cutoffHours * 3600000);
+  } else if (policy.hardCutoff && submission.available_until) {
+    cutoff = new Date(submission.available_until);
+  }
+  
+  if (cutoff && submittedAt > cutoff) {
+    result.pastCutoff = true;
+    result.penaltyPercent = 100;
+    result.penaltyPoints = Number(submission.total_points);
+    return result;
+  }
+  
+  const periodMinutes = policy.per === 'hour' ? 60 : 1440;
+  const periodsLate = Math.ceil(result.minutesLate / periodMinutes);
+  const maxPenalty = policy.maxPenaltyPercent !== undefined ? policy.maxPenaltyPercent : 100;
+  
+  result.penaltyPercent = Math.min(maxPenalty, periodsLate * (policy.penaltyPercent || 0));
+  result.penaltyPoints = (result.penaltyPercent / 100) * Number(submission.total_points);
+  
+  return result;
+}
+
+/**
+ * Waive or reinstate the late penalty for a submission
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with the updated score or error
+ */
+exports.waiveLatePenalty = async (event) => {
+  try {
+    const { submissionId } = event.pathParameters;
+    const { waived = true, reason } = JSON.parse(event.body || '{}');
+    const graderId = event.requestContext.authorizer.claims.sub;
+    
+    const submissionResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM submissions s
+       JOIN assignments a ON s.assignment_id = a.assignment_id
+       WHERE s.submission_id = $1`,
+      [submissionId, graderId]
+    );
+    
+    if (submissionResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Submission not found' })
+      };
+    }
+    
+    const access = submissionResult.rows[0];
+    
+    if (!access.is_course_teacher && access.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can waive late penalties for this submission' })
+      };
+    }
+    
+    const result = await pool.query(
+      `UPDATE submissions
+       SET penalty_waived = $1, penalty_waived_by = $2
+       WHERE submission_id = $3
+       RETURNING status, raw_score`,
+      [waived, waived ? graderId : null, submissionId]
+    );
+    
+    await pool.query(
+      `INSERT INTO audit_logs (user_id, action_type, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [graderId, waived ? 'late_penalty_waived' : 'late_penalty_reinstated', 'submission', submissionId, { reason }]
+    );
+    
+    // Graded submissions get their total recalculated right away
+    const { status, raw_score: rawScore } = result.rows[0];
+    const score = status === 'graded' && rawScore !== null
+      ? await finalizeSubmissionScore(pool, submissionId, Number(rawScore), null, { source: 'late_penalty', reason, changedBy: graderId })
+      : null;
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: waived ? 'Late penalty waived' : 'Late penalty reinstated',
+        submissionId,
+        score
+      })
+    };
+  } catch (error) {
+    console.error('Error in waiveLatePenalty:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Get the grade history for a response, a submission or a student
+ * 
+ * Serves /responses/{responseId}/grade-history, /submissions/{submissionId}/grade-history
+ * and /students/{studentId}/grade-history. Course teachers and admins see all of
+ * it; students only see the history of their own released assignments.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with history entries (newest first) or error
+ */
+exports.getGradeHistory = async (event) => {
+  try {
+    const { responseId, submissionId, studentId } = event.pathParameters || {};
+    const requesterId = event.requestContext.authorizer.claims.sub;
+    
+    let filter;
+    let value;
+    let teacherUserId = null;
+    let releasedOnly = false;
+    if (responseId || submissionId) {
+      const accessResult = await pool.query(
+        `SELECT EXISTS (
+                  SELECT 1 FROM course_teachers ct
+                  JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                  WHERE ct.course_id = a.course_id AND tp.user_id = $2
+                ) AS is_course_teacher,
+                (SELECT role FROM users WHERE user_id = $2) AS requester_role,
+                sp.user_id AS student_user_id, a.grades_released
+         FROM submissions s
+         JOIN assignments a ON s.assignment_id = a.assignment_id
+         JOIN student_profiles sp ON s.student_id = sp.student_id
+         WHERE ${responseId
+           ? 's.submission_id = (SELECT submission_id FROM question_responses WHERE response_id = $1)'
+           : 's.submission_id = $1'}`,
+        [responseId || submissionId, requesterId]
+      );
+      
+      if (accessResult.rows.length === 0) {
+        return {
+          statusCode: 404,
+          body: JSON.stringify({ message: responseId ? 'Response not found' : 'Submission not found' })
+        };
+      }
+      
+      const access = accessResult.rows[0];
+      const isOwnReleasedGrade = String(access.student_user_id) === String(requesterId) && access.grades_released;
+      
+      if (!access.is_course_teacher && access.requester_role !== 'admin' && !isOwnReleasedGrade) {
+        return {
+          statusCode: 403,
+          body: JSON.stringify({ message: 'Not authorized to view this grade history' })
+        };
+      }
+      
+      filter = responseId ? 'gh.response_id = $1' : 'gh.submission_id = $1';
+      value = responseId || submissionId;
+    } else if (studentId) {
+      const access = await getStudentGradeAccess(studentId, requesterId);
+      
+      if (access.error) {
+        return {
+          statusCode: access.error.statusCode,
+          body: JSON.stringify({ message: access.error.message })
+        };
+      }
+      
+      teacherUserId = access.teacherUserId;
+      releasedOnly = access.isSelf;
+      
+      // Grades of anonymized assignments would reveal which submission is the student's
+      filter = 's.student_id = $1 AND NOT (a.is_anonymous AND a.deanonymized_at IS NULL)';
+      value = studentId;
+    } else {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Response ID, submission ID or student ID is required' })
+      };
+    }
+    
+    const result = await pool.query(
+      `SELECT gh.history_id, gh.submission_id, gh.response_id, qr.question_id,
+              s.student_id, s.assignment_id,
+              gh.old_score, gh.new_score, gh.old_feedback, gh.new_feedback,
+              gh.changed_by, u.username AS changed_by_username,
+              gh.source, gh.reason, gh.changed_at,
+              a.is_anonymous, a.anonymous_key, a.deanonymized_at
+       FROM grade_history gh
+       JOIN submissions s ON gh.submission_id = s.submission_id
+       JOIN assignments a ON s.assignment_id = a.assignment_id
+       LEFT JOIN question_responses qr ON gh.response_id = qr.response_id
+       LEFT JOIN users u ON gh.changed_by = u.user_id
+       WHERE ${filter}
+         AND ($2::integer IS NULL OR EXISTS (
+           SELECT 1 FROM course_teachers ct
+           JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+           WHERE ct.course_id = a.course_id AND tp.user_id = $2
+         ))
+         AND (NOT $3::boolean OR a.grades_released)
+       ORDER BY gh.changed_at DESC, gh.history_id DESC`,
+      [value, teacherUserId, releasedOnly]
+    );
+    
+    const history = result.rows.map(({ is_anonymous, anonymous_key, deanonymized_at, ...entry }) => {
+      const assignment = { is_anonymous, anonymous_key, deanonymized_at };
+      return anonymizer.isHidden(assignment)
+        ? { ...entry, student_id: null, pseudonym: anonymizer.pseudonym(anonymous_key, entry.submission_id) }
+        : entry;
+    });
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify(history)
+    };
+  } catch (error) {
+    console.error('Error in getGradeHistory:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Excuse a student from an assignment, or remove the excuse
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or error
+ */
+exports.excuseAssignment = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const { studentId, excused = true, reason } = JSON.parse(event.body || '{}');
+    const graderId = event.requestContext.authorizer.claims.sub;
+    
+    // Validate input
+    if (!studentId) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Student ID is required' })
+      };
+    }
+    
+    const assignmentResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, graderId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can excuse students from this assignment' })
+      };
+    }
+    
+    if (excused) {
+      await pool.query(
+        `INSERT INTO excused_assignments (assignment_id, student_id, reason, excused_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (assignment_id, student_id)
+         DO UPDATE SET reason = $3, excused_by = $4, excused_at = CURRENT_TIMESTAMP`,
+        [assignmentId, studentId, reason || null, graderId]
+      );
+    } else {
+      await pool.query(
+        'DELETE FROM excused_assignments WHERE assignment_id = $1 AND student_id = $2',
+        [assignmentId, studentId]
+      );
+    }
+    
+    await pool.query(
+      `INSERT INTO audit_logs (user_id, action_type, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [graderId, excused ? 'assignment_excused' : 'assignment_unexcused', 'assignment', assignmentId, { studentId, reason }]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: excused ? 'Assignment excused' : 'Assignment no longer excused',
+        assignmentId,
+        studentId
+      })
+    };
+  } catch (error) {
+    console.error('Error in excuseAssignment:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Calculate final grade for a student in a course
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with final grade or error
+ */
+exports.calculateFinalGrade = async (event) => {
+  try {
+    const { studentId, courseId } = JSON.parse(event.body);
+    
+    // Validate input
+    if (!studentId || !courseId) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Student ID and course ID are required' })
+      };
+    }
+    
+    const grade = await computeCourseGrade(studentId, courseId);
+    
+    if (!grade) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'No assignment categories found for this course' })
+      };
+    }
+    
+    // Update enrollment record with final grade
+    await pool.query(
+      `UPDATE enrollments
+       SET final_grade = $1
+       WHERE student_id = $2 AND course_id = $3`,
+      [grade.finalGrade, studentId, courseId]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        studentId,
+        courseId,
+        ...grade
+      })
+    };
+  } catch (error) {
+    console.error('Error in calculateFinalGrade:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Compute a student's current and projected grade in a course
+ * 
+ * @param {number} studentId - Student ID
+ * @param {number} courseId - Course ID
+ * @param {Object} options - { releasedOnly }: only count assignments whose grades are released
+ * @returns {Object|null} - Grades, letter grades and category breakdown, or null if the course has no categories
+ */
+async function computeCourseGrade(studentId, courseId, options = {}) {
+  const { releasedOnly = false } = options;
+  
+  // Get assignment categories, weights and drop rules
+  const categoriesResult = await pool.query(
+    `SELECT category_id, name, weight, drop_lowest, keep_highest
+     FROM assignment_categories
+     WHERE course_id = $1
+     ORDER BY category_id`,
+    [courseId]
+  );
+  
+  const categories = categoriesResult.rows;
+  
+  if (categories.length === 0) {
+    return null;
+  }
+  
+  // Calculate grade for each category
+  const now = new Date();
+  const categoryGrades = [];
+  
+  for (const category of categories) {
+    // Get assignments in this category
+    const assignmentsResult = await pool.query(
+      `SELECT a.assignment_id, a.title, a.total_points, a.due_date, a.is_extra_credit,
+              CASE WHEN s.status = 'graded' THEN s.total_score END AS total_score,
+              (s.status IN ('submitted', 'late')) AS awaiting_grade,
+              (ea.student_id IS NOT NULL) AS is_excused
+       FROM assignments a
+       LEFT JOIN submissions s ON a.assignment_id = s.assignment_id AND s.student_id = $1 AND s.status <> 'draft'
+       LEFT JOIN excused_assignments ea ON a.assignment_id = ea.assignment_id AND ea.student_id = $1
+       WHERE a.category_id = $2 AND a.is_published = TRUE AND (a.grades_released = TRUE OR $3 = FALSE)
+       ORDER BY a.due_date, a.assignment_id`,
+      [studentId, category.category_id, releasedOnly]
+    );
+    
+    const assignments = assignmentsResult.rows;
+    
+    // Projected grade counts everything, missing work as zero; current grade
+    // only counts graded work and work that is past due and was never handed in
+    const projected = scoreCategory(category, assignments);
+    const current = scoreCategory(category, assignments.filter(assignment =>
+      assignment.total_score !== null ||
+      (!assignment.awaiting_grade && assignment.due_date && new Date(assignment.due_date) < now)
+    ));
+    
+    categoryGrades.push({
+      categoryId: category.category_id,
+      name: category.name,
+      weight: Number(category.weight),
+      percentage: projected.percentage,
+      currentPercentage: current.possiblePoints > 0 ? current.percentage : null,
+      hasCurrentWork: current.possiblePoints > 0,
+      weightMisconfigured: !(Number(category.weight) > 0 && Number(category.weight) <= 100),
+      assignments: projected.assignmentDetails,
+      droppedAssignments: projected.assignmentDetails.filter(a => a.status === 'dropped').map(a => a.assignmentId),
+      excusedAssignments: projected.assignmentDetails.filter(a => a.status === 'excused').map(a => a.assignmentId)
+    });
+  }
+  
+  // Flag category weights that do not add up to 100
+  const totalWeight = categoryGrades.reduce((sum, category) => sum + category.weight, 0);
+  const weightIssues = [];
+  
+  if (Math.abs(totalWeight - 100) > 0.01) {
+    weightIssues.push(`Category weights sum to ${totalWeight} instead of 100`);
+  }
+  for (const category of categoryGrades.filter(c => c.weightMisconfigured)) {
+    weightIssues.push(`Category "${category.name}" has an invalid weight of ${category.weight}`);
+  }
+  
+  // Renormalize weights: the projected grade over all categories, the current
+  // grade over the categories that have work to count so far
+  const usableCategories = categoryGrades.filter(c => !c.weightMisconfigured);
+  const projectedWeight = usableCategories.reduce((sum, c) => sum + c.weight, 0);
+  const currentWeight = usableCategories.filter(c => c.hasCurrentWork).reduce((sum, c) => sum + c.weight, 0);
+  
+  for (const category of categoryGrades) {
+    category.weightedScore = !category.weightMisconfigured && projectedWeight > 0
+      ? (category.percentage / 100) * (category.weight / projectedWeight) * 100
+      : 0;
+  }
+  
+  const finalGrade = categoryGrades.reduce((sum, c) => sum + c.weightedScore, 0);
+  const currentGrade = currentWeight > 0
+    ? usableCategories
+      .filter(c => c.hasCurrentWork)
+      .reduce((sum, c) => sum + c.currentPercentage * (c.weight / currentWeight), 0)
+    : null;
+  
+  // Get grading scale for the course
+  const scaleResult = await pool.query(
+    `SELECT gs.scale_id, gs.name, gs.scale_type, gs.rounding_mode, gs.rounding_decimals,
+            gst.grade, gst.min_score, gst.max_score, gst.gpa_points, gst.is_passing
+     FROM grading_scales gs
+     JOIN grading_scale_thresholds gst ON gs.scale_id = gst.scale_id
+     WHERE gs.scale_id = (SELECT MIN(scale_id) FROM course_grading_scales WHERE course_id = $1)
+     ORDER BY gst.min_score DESC`,
+    [courseId]
+  );
+  
+  // Map the projected and current grades onto the scale
+  const scale = gradingScale.scaleFromRows(scaleResult.rows);
+  const scaledGrade = gradingScale.applyGradingScale(scale, finalGrade);
+  const currentScaledGrade = gradingScale.applyGradingScale(scale, currentGrade);
+  
+  return {
+    currentGrade,
+    currentLetterGrade: currentScaledGrade ? currentScaledGrade.grade : null,
+    currentGpaPoints: currentScaledGrade ? currentScaledGrade.gpaPoints : null,
+    finalGrade,
+    letterGrade: scaledGrade ? scaledGrade.grade : null,
+    gpaPoints: scaledGrade ? scaledGrade.gpaPoints : null,
+    isPassing: scaledGrade ? scaledGrade.isPassing : null,
+    scale: scale ? {
+      scaleId: scale.scaleId,
+      name: scale.name,
+      scaleType: scale.scaleType,
+      roundedGrade: scaledGrade ? scaledGrade.score : null
+    } : null,
+    weightsMisconfigured: weightIssues.length > 0,
+    weightIssues,
+    categoryGrades
+  };
+}
+
+/**
+ * Release or withdraw the grades of an assignment
+ * 
+ * Only the course's teachers and admins can release grades.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or error
+ */
+exports.releaseGrades = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const { released = true } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can release grades for this assignment' })
+      };
+    }
+    
+    await pool.query(
+      `UPDATE assignments
+       SET grades_released = $1, grades_released_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+       WHERE assignment_id = $2`,
+      [Boolean(released), assignmentId]
+    );
+    
+    await pool.query(
+      `INSERT INTO audit_logs (user_id, action_type, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, released ? 'grades_released' : 'grades_withdrawn', 'assignment', assignmentId, {}]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ message: released ? 'Grades released' : 'Grades withdrawn', assignmentId })
+    };
+  } catch (error) {
+    console.error('Error in releaseGrades:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Turn anonymous grading on or off for an assignment
+ * 
+ * Turning it on hides student identities from graders until the assignment is
+ * de-anonymized. It cannot be turned off while identities are hidden, and
+ * identities cannot be hidden again once revealed. Only the course's teachers
+ * and admins can change it.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or error
+ */
+exports.setAnonymousGrading = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const { enabled = true } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT a.is_anonymous, a.deanonymized_at,
+              EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can change anonymous grading for this assignment' })
+      };
+    }
+    
+    if (!enabled && anonymizer.isHidden(assignment)) {
+      return {
+        statusCode: 409,
+        body: JSON.stringify({ message: 'Student identities are hidden; de-anonymize the assignment instead' })
+      };
+    }
+    
+    if (enabled && assignment.deanonymized_at) {
+      return {
+        statusCode: 409,
+        body: JSON.stringify({ message: 'Student identities have already been revealed for this assignment' })
+      };
+    }
+    
+    if (Boolean(enabled) === Boolean(assignment.is_anonymous)) {
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          message: enabled ? 'Anonymous grading is already enabled' : 'Anonymous grading is already disabled',
+          assignmentId
+        })
+      };
+    }
+    
+    // An existing key is kept so pseudonyms graders have seen stay the same
+    await pool.query(
+      `UPDATE assignments
+       SET is_anonymous = $1,
+           anonymous_key = CASE WHEN $1 THEN COALESCE(anonymous_key, $2) ELSE anonymous_key END
+       WHERE assignment_id = $3`,
+      [Boolean(enabled), anonymizer.createKey(), assignmentId]
+    );
+    
+    await pool.query(
+      `INSERT INTO audit_logs (user_id, action_type, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, enabled ? 'anonymous_grading_enabled' : 'anonymous_grading_disabled', 'assignment', assignmentId, {}]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: enabled ? 'Anonymous grading enabled' : 'Anonymous grading disabled',
+        assignmentId
+      })
+    };
+  } catch (error) {
+    console.error('Error in setAnonymousGrading:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Reveal student identities of an anonymously graded assignment
+ * 
+ * Only the course's teachers and admins can de-anonymize, and only once every
+ * submission is graded unless force is set. Bank comment placeholders kept
+ * while grading anonymously are filled in. The action is written to the audit log.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or error
+ */
+exports.deanonymizeAssignment = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const { force = false } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT a.is_anonymous, a.deanonymized_at,
+              EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role,
+              (SELECT COUNT(*) FROM submissions s
+               WHERE s.assignment_id = a.assignment_id AND s.status IN ('submitted', 'late')) AS ungraded_submissions
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can de-anonymize this assignment' })
+      };
+    }
+    
+    if (!anonymizer.isHidden(assignment)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Assignment is not anonymized' })
+      };
+    }
+    
+    const ungradedSubmissions = Number(assignment.ungraded_submissions);
+    if (ungradedSubmissions > 0 && !force) {
+      return {
+        statusCode: 409,
+        body: JSON.stringify({ message: 'Some submissions are not graded yet', ungradedSubmissions })
+      };
+    }
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      await client.query(
+        `UPDATE assignments
+         SET deanonymized_at = CURRENT_TIMESTAMP, deanonymized_by = $1
+         WHERE assignment_id = $2`,
+        [userId, assignmentId]
+      );
+      
+      const feedbackResult = await client.query(
+        `SELECT qr.response_id, qr.feedback, sp.first_name, sp.last_name
+         FROM question_responses qr
+         JOIN questions q ON qr.question_id = q.question_id
+         JOIN submissions s ON qr.submission_id = s.submission_id
+         JOIN student_profiles sp ON s.student_id = sp.student_id
+         WHERE q.assignment_id = $1 AND qr.feedback LIKE '%{%}%'`,
+        [assignmentId]
+      );
+      
+      for (const response of feedbackResult.rows) {
+        const feedback = commentBank.renderComment(
+          response.feedback,
+          { firstName: response.first_name, lastName: response.last_name }
+        );
+        if (feedback !== response.feedback) {
+          await client.query(
+            'UPDATE question_responses SET feedback = $1 WHERE response_id = $2',
+            [feedback, response.response_id]
+          );
+        }
+      }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    await pool.query(
+      `INSERT INTO audit_logs (user_id, action_type, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, 'assignment_deanonymized', 'assignment', assignmentId, { ungradedSubmissions, force }]
+    );
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ message: 'Student identities revealed', assignmentId })
+    };
+  } catch (error) {
+    console.error('Error in deanonymizeAssignment:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * List an assignment's submissions for grading
+ * 
+ * While the assignment is anonymized, submissions are shown under their
+ * pseudonyms in the assignment's shuffled order, with their response IDs
+ * instead of the submission ID. Otherwise they are listed by student name.
+ * Only the course's teachers and admins can list submissions.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with submissions or error
+ */
+exports.getSubmissionsForGrading = async (event) => {
+  try {
+    const { assignmentId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const assignmentResult = await pool.query(
+      `SELECT a.is_anonymous, a.anonymous_key, a.deanonymized_at,
+              EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = a.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM assignments a
+       WHERE a.assignment_id = $1`,
+      [assignmentId, userId]
+    );
+    
+    if (assignmentResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Assignment not found' })
+      };
+    }
+    
+    const assignment = assignmentResult.rows[0];
+    
+    if (!assignment.is_course_teacher && assignment.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can list submissions for this assignment' })
+      };
+    }
+    
+    const hidden = anonymizer.isHidden(assignment);
+    
+    const submissionsResult = await pool.query(
+      `SELECT s.submission_id, s.student_id, sp.first_name, sp.last_name, s.status, s.submitted_at,
+              COUNT(qr.response_id) AS total_questions,
+              COUNT(qr.score) AS graded_questions,
+              ARRAY_REMOVE(ARRAY_AGG(qr.response_id ORDER BY qr.response_id), NULL) AS response_ids
+       FROM submissions s
+       JOIN student_profiles sp ON s.student_id = sp.student_id
+       LEFT JOIN question_responses qr ON qr.submission_id = s.submission_id
+       WHERE s.assignment_id = $1 AND s.status <> 'draft'
+       GROUP BY s.submission_id, sp.student_id
+       ORDER BY sp.last_name, sp.first_name`,
+      [assignmentId]
+    );
+    
+    const submissions = hidden
+      ? anonymizer.shuffle(assignment.anonymous_key, submissionsResult.rows)
+      : submissionsResult.rows;
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        assignmentId,
+        anonymous: hidden,
+        // The submission ID leads back to the student, so hidden rows are keyed by pseudonym
+        submissions: submissions.map(submission => ({
+          ...(hidden
+            ? { responseIds: submission.response_ids }
+            : { submissionId: submission.submission_id }),
+          ...anonymizedStudent(assignment, submission),
+          status: submission.status,
+          submittedAt: submission.submitted_at,
+          totalQuestions: Number(submission.total_questions),
+          gradedQuestions: Number(submission.graded_questions)
+        }))
+      })
+    };
+  } catch (error) {
+    console.error('Error in getSubmissionsForGrading:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Identify the student of a submission, or give the pseudonym while the assignment is anonymized
+ * 
+ * @param {Object} assignment - Assignment row ({ is_anonymous, anonymous_key, deanonymized_at })
+ * @param {Object} submission - Submission row ({ submission_id, student_id, first_name, last_name })
+ * @returns {Object} - { studentId, studentName } or { pseudonym }
+ */
+function anonymizedStudent(assignment, submission) {
+  if (anonymizer.isHidden(assignment)) {
+    return { pseudonym: anonymizer.pseudonym(assignment.anonymous_key, submission.submission_id) };
+  }
+  
+  return {
+    studentId: submission.student_id,
+    studentName: submission.first_name === undefined ? undefined : `${submission.first_name} ${submission.last_name}`
+  };
+}
+
+/**
+ * Export a course gradebook as CSV or XLSX
+ * 
+ * The file is written to S3 and a short-lived download link is returned.
+ * Only the course's teachers and admins can export the gradebook.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with download URL or error
+ */
+exports.exportGradebook = async (event) => {
+  try {
+    const { courseId } = event.pathParameters;
+    const { format = 'csv', identifier = 'student_number', includeUnreleased = false } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Validate input
+    if (!gradebookWriter.FORMATS[format]) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Format must be csv or xlsx' })
+      };
+    }
+    
+    if (!['student_number', 'name'].includes(identifier)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Identifier must be student_number or name' })
+      };
+    }
+    
+    const courseResult = await pool.query(
+      `SELECT c.course_id, c.course_code, c.title,
+              EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = c.course_id AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role
+       FROM courses c
+       WHERE c.course_id = $1`,
+      [courseId, userId]
+    );
+    
+    if (courseResult.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Course not found' })
+      };
+    }
+    
+    const course = courseResult.rows[0];
+    
+    if (!course.is_course_teacher && course.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can export this gradebook' })
+      };
+    }
+    
+    // Columns: every published assignment, grouped by category
+    const categoriesResult = await pool.query(
+      'SELECT category_id, name, weight FROM assignment_categories WHERE course_id = $1 ORDER BY category_id',
+      [courseId]
+    );
+    
+    const assignmentsResult = await pool.query(
+      `SELECT a.assignment_id, a.title, a.total_points, ac.name AS category_name
+       FROM assignments a
+       JOIN assignment_categories ac ON a.category_id = ac.category_id
+       WHERE a.course_id = $1 AND a.is_published = TRUE AND (a.grades_released = TRUE OR $2 = TRUE)
+       ORDER BY ac.category_id, a.due_date, a.assignment_id`,
+      [courseId, includeUnreleased]
+    );
+    
+    // Rows: every enrolled student
+    const studentsResult = await pool.query(
+      `SELECT sp.student_id, sp.first_name, sp.last_name, sp.student_number
+       FROM enrollments e
+       JOIN student_profiles sp ON e.student_id = sp.student_id
+       WHERE e.course_id = $1 AND e.status IN ('active', 'completed')
+       ORDER BY sp.last_name, sp.first_name`,
+      [courseId]
+    );
+    
+    const students = [];
+    for (const student of studentsResult.rows) {
+      const grade = await computeCourseGrade(student.student_id, courseId, { releasedOnly: !includeUnreleased });
+      students.push({
+        identifier: identifier === 'name' || !student.student_number
+          ? `${student.last_name}, ${student.first_name}`
+          : student.student_number,
+        grade
+      });
+    }
+    
+    const table = gradebookWriter.buildGradebook(
+      assignmentsResult.rows.map(assignment => ({
+        assignmentId: assignment.assignment_id,
+        title: assignment.title,
+        totalPoints: assignment.total_points,
+        categoryName: assignment.category_name
+      })),
+      categoriesResult.rows.map(category => ({
+        categoryId: category.category_id,
+        name: category.name,
+        weight: Number(category.weight)
+      })),
+      students
+    );
+    
+    const file = format === 'xlsx'
+      ? await gradebookWriter.toXlsx(table, course.course_code)
+      : gradebookWriter.toCsv(table);
+    
+    // Upload to S3 and return a download link
+    const { extension, contentType } = gradebookWriter.FORMATS[format];
+    const fileName = `${course.course_code}-gradebook-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    const url = await uploadExport(`exports/gradebooks/${courseId}`, fileName, file, contentType);
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        courseId,
+        format,
+        fileName,
+        studentCount: students.length,
+        assignmentCount: assignmentsResult.rows.length,
+        url
+      })
+    };
+  } catch (error) {
+    console.error('Error in exportGradebook:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Get a student's released grades in every course they are enrolled in
+ * 
+ * Students can read their own grades and admins can read anyone's. Teachers
+ * can read the grades of their students, limited to the courses they teach.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with grades per course or error
+ */
+exports.getGradesForStudent = async (event) => {
+  try {
+    const { studentId } = event.pathParameters;
+    const requesterId = event.requestContext.authorizer.claims.sub;
+    
+    const access = await getStudentGradeAccess(studentId, requesterId);
+    
+    if (access.error) {
+      return {
+        statusCode: access.error.statusCode,
+        body: JSON.stringify({ message: access.error.message })
+      };
+    }
+    
+    const { teacherUserId } = access;
+    
+    const coursesResult = await pool.query(
+      `SELECT c.course_id, c.course_code, c.title, c.credit_hours, e.status AS enrollment_status
+       FROM enrollments e
+       JOIN courses c ON e.course_id = c.course_id
+       WHERE e.student_id = $1 AND e.status IN ('active', 'completed')
+         AND ($2::integer IS NULL OR EXISTS (
+           SELECT 1 FROM course_teachers ct
+           JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+           WHERE ct.course_id = c.course_id AND tp.user_id = $2
+         ))
+       ORDER BY c.course_code`,
+      [studentId, teacherUserId]
+    );
+    
+    if (teacherUserId !== null && coursesResult.rows.length === 0) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Not authorized to view these grades' })
+      };
+    }
+    
+    const courses = [];
+    for (const course of coursesResult.rows) {
+      const grade = await computeCourseGrade(studentId, course.course_id, { releasedOnly: true });
+      const categoryGrades = grade ? grade.categoryGrades : [];
+      
+      courses.push({
+        courseId: course.course_id,
+        courseCode: course.course_code,
+        title: course.title,
+        creditHours: course.credit_hours,
+        enrollmentStatus: course.enrollment_status,
+        currentGrade: grade ? grade.currentGrade : null,
+        letterGrade: grade ? grade.currentLetterGrade : null,
+        categories: categoryGrades.map(category => ({
+          categoryId: category.categoryId,
+          name: category.name,
+          weight: category.weight,
+          currentPercentage: category.currentPercentage
+        })),
+        assignments: categoryGrades.flatMap(category => category.assignments.map(assignment => ({
+          assignmentId: assignment.assignmentId,
+          title: assignment.title,
+          category: category.name,
+          totalPoints: assignment.totalPoints,
+          score: assignment.graded ? assignment.earnedPoints : null,
+          status: assignment.status
+        })))
+      });
+    }
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        studentId,
+        courses
+      })
+    };
+  } catch (error) {
+    console.error('Error in getGradesForStudent:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Check whether a user may see a student's grades
+ * 
+ * Students see their own grades and admins see everyone's. Teachers only see
+ * the courses they teach, so callers limit courses to those of teacherUserId
+ * when it is set.
+ * 
+ * @param {number} studentId - Student ID
+ * @param {number} requesterId - ID of the requesting user
+ * @returns {Object} - { isSelf, teacherUserId } or { error: { statusCode, message } }
+ */
+async function getStudentGradeAccess(studentId, requesterId) {
+  const studentResult = await pool.query(
+    'SELECT student_id, user_id FROM student_profiles WHERE student_id = $1',
+    [studentId]
+  );
+  
+  if (studentResult.rows.length === 0) {
+    return { error: { statusCode: 404, message: 'Student not found' } };
+  }
+  
+  const requesterResult = await pool.query(
+    'SELECT user_id, role FROM users WHERE user_id = $1 AND is_active = TRUE',
+    [requesterId]
+  );
+  const requester = requesterResult.rows[0];
+  const isSelf = Boolean(requester) && String(requester.user_id) === String(studentResult.rows[0].user_id);
+  const isAdmin = Boolean(requester) && requester.role === 'admin';
+  const isTeacher = Boolean(requester) && requester.role === 'teacher';
+  
+  if (!isSelf && !isAdmin && !isTeacher) {
+    return { error: { statusCode: 403, message: 'Not authorized to view these grades' } };
+  }
+  
+  return {
+    isSelf: isSelf && !isAdmin && !isTeacher,
+    teacherUserId: isSelf || isAdmin ? null : requester.user_id
+  };
+}
+
+/**
+ * Set the teacher comment shown on a student's report card for a course
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with success message or error
+ */
+exports.setReportCardComment = async (event) => {
+  try {
+    const { courseId, studentId } = event.pathParameters;
+    const { comment } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const accessResult = await pool.query(
+      `SELECT EXISTS (
+                SELECT 1 FROM course_teachers ct
+                JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+                WHERE ct.course_id = $1 AND tp.user_id = $2
+              ) AS is_course_teacher,
+              (SELECT role FROM users WHERE user_id = $2) AS requester_role`,
+      [courseId, userId]
+    );
+    const access = accessResult.rows[0];
+    
+    if (!access.is_course_teacher && access.requester_role !== 'admin') {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only the course teacher can comment on report cards for this course' })
       };
     }
     
-    // Update question response
-    await pool.query(
-      `UPDATE question_responses
-       SET score = $1, feedback = $2, graded_at = CURRENT_TIMESTAMP, graded_by = $3
-       WHERE response_id = $4`,
-      [score, feedback || '', graderId, responseId]
+    const result = await pool.query(
+      `UPDATE enrollments
+       SET report_comment = $1
+       WHERE course_id = $2 AND student_id = $3
+       RETURNING enrollment_id`,
+      [comment || null, courseId, studentId]
     );
     
-    // Check if all questions in the submission are graded
-    const submissionResult = await pool.query(
-      `SELECT s.submission_id, s.assignment_id, s.student_id,
-              COUNT(q.question_id) AS total_questions,
-              COUNT(qr.score) AS graded_questions,
-              SUM(qr.score) AS total_score
-       FROM submissions s
-       JOIN questions q ON s.assignment_id = q.assignment_id
-       JOIN question_responses qr ON q.question_id = qr.question_id AND qr.submission_id = s.submission_id
-       WHERE qr.response_id = $1
-       GROUP BY s.submission_id, s.assignment_id, s.student_id`,
-      [responseId]
-    );
+    if (result.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Enrollment not found' })
+      };
+    }
     
-    if (submissionResult.rows.length > 0) {
-      const submission = submissionResult.rows[0];
-      
-      // If all questions are graded, update submission status
-      if (submission.total_questions === submission.graded_questions) {
-        await pool.query(
-          `UPDATE submissions
-           SET status = 'graded', total_score = $1, graded_at = CURRENT_TIMESTAMP, graded_by = $2
-           WHERE submission_id = $3`,
-          [submission.total_score, graderId, submission.submission_id]
-        );
-      }
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ message: 'Report card comment saved' })
+    };
+  } catch (error) {
+    console.error('Error in setReportCardComment:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Generate a student's report card as HTML or PDF
+ * 
+ * Access follows getGradesForStudent: teachers get a report card of the
+ * courses they teach, and only teachers and admins can include unreleased grades.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with download URL or error
+ */
+exports.generateReportCard = async (event) => {
+  try {
+    const { studentId } = event.pathParameters;
+    const { format = 'pdf', includeUnreleased = false } = JSON.parse(event.body || '{}');
+    const requesterId = event.requestContext.authorizer.claims.sub;
+    
+    if (!Object.prototype.hasOwnProperty.call(REPORT_CARD_FORMATS, format)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Format must be html or pdf' })
+      };
+    }
+    
+    const access = await getStudentGradeAccess(studentId, requesterId);
+    
+    if (access.error) {
+      return {
+        statusCode: access.error.statusCode,
+        body: JSON.stringify({ message: access.error.message })
+      };
+    }
+    
+    if (includeUnreleased && access.isSelf) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only teachers can include unreleased grades' })
+      };
+    }
+    
+    const card = await buildReportCard(studentId, { includeUnreleased, teacherUserId: access.teacherUserId });
+    
+    if (!card) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Student not found' })
+      };
+    }
+    
+    if (access.teacherUserId !== null && card.courses.length === 0) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Not authorized to view these grades' })
+      };
     }
     
+    const file = await renderReportCard(card, format);
+    const url = await uploadExport(
+      `exports/report-cards/${studentId}`,
+      reportCardFileName(card, format),
+      file,
+      REPORT_CARD_FORMATS[format]
+    );
+    
     return {
       statusCode: 200,
-      body: JSON.stringify({ message: 'Question graded successfully' })
+      body: JSON.stringify({
+        studentId,
+        format,
+        termGpa: card.termGpa,
+        courses: card.courses.length,
+        url
+      })
     };
   } catch (error) {
-    console.error('Error in manualGradeQuestion:', error);
+    console.error('Error in generateReportCard:', error);
     return {
       statusCode: 500,
       body: JSON.stringify({ message: 'Internal server error' })
@@ -628,150 +5183,467 @@ exports.manualGradeQuestion = async (event) => {
 };
 
 /**
- * Calculate final grade for a student in a course
+ * Start a background job that generates report cards for every student in a grade level
+ * 
+ * The report cards are put in a single zip file. Only admins can start the job;
+ * its progress and download link come from getReportCardJob.
  * 
  * @param {Object} event - Lambda event object
- * @returns {Object} - Response with final grade or error
+ * @returns {Object} - Response with the job ID or error
  */
-exports.calculateFinalGrade = async (event) => {
+exports.generateReportCardBatch = async (event) => {
   try {
-    const { studentId, courseId } = JSON.parse(event.body);
+    const { gradeLevel, format = 'pdf', includeUnreleased = false } = JSON.parse(event.body || '{}');
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (!await isAdminUser(userId)) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only admins can generate report cards for a grade level' })
+      };
+    }
     
     // Validate input
-    if (!studentId || !courseId) {
+    if (!gradeLevel) {
       return {
         statusCode: 400,
-        body: JSON.stringify({ message: 'Student ID and course ID are required' })
+        body: JSON.stringify({ message: 'Grade level is required' })
       };
     }
     
-    // Get assignment categories and weights
-    const categoriesResult = await pool.query(
-      `SELECT category_id, name, weight
-       FROM assignment_categories
-       WHERE course_id = $1`,
-      [courseId]
+    if (!Object.prototype.hasOwnProperty.call(REPORT_CARD_FORMATS, format)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: 'Format must be html or pdf' })
+      };
+    }
+    
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total
+       FROM student_profiles sp
+       JOIN users u ON sp.user_id = u.user_id
+       WHERE sp.grade_level = $1 AND u.is_active = TRUE`,
+      [gradeLevel]
     );
     
-    const categories = categoriesResult.rows;
+    const totalStudents = parseInt(countResult.rows[0].total, 10);
     
-    if (categories.length === 0) {
+    if (totalStudents === 0) {
       return {
         statusCode: 404,
-        body: JSON.stringify({ message: 'No assignment categories found for this course' })
+        body: JSON.stringify({ message: 'No students found in this grade level' })
       };
     }
     
-    // Calculate grade for each category
-    let finalGrade = 0;
-    const categoryGrades = [];
+    const jobResult = await pool.query(
+      `INSERT INTO report_card_jobs (grade_level, format, include_unreleased, total_students, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING job_id`,
+      [gradeLevel, format, Boolean(includeUnreleased), totalStudents, userId]
+    );
+    
+    const jobId = jobResult.rows[0].job_id;
     
-    for (const category of categories) {
-      // Get assignments in this category
-      const assignmentsResult = await pool.query(
-        `SELECT a.assignment_id, a.title, a.total_points,
-                s.total_score
-         FROM assignments a
-         LEFT JOIN submissions s ON a.assignment_id = s.assignment_id AND s.student_id = $1 AND s.status = 'graded'
-         WHERE a.category_id = $2 AND a.is_published = TRUE`,
-        [studentId, category.category_id]
+    // Hand the job to the worker function without waiting for it
+    try {
+      await lambda.invoke({
+        FunctionName: process.env.REPORT_CARD_WORKER_FUNCTION,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({ jobId })
+      }).promise();
+    } catch (error) {
+      await pool.query(
+        `UPDATE report_card_jobs
+         SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error = $1
+         WHERE job_id = $2`,
+        ['Report card worker could not be started', jobId]
       );
-      
-      const assignments = assignmentsResult.rows;
-      
-      if (assignments.length === 0) {
-        categoryGrades.push({
-          categoryId: category.category_id,
-          name: category.name,
-          weight: category.weight,
-          percentage: 0,
-          weightedScore: 0,
-          assignments: []
-        });
-        continue;
-      }
-      
-      // Calculate category percentage
-      let totalPoints = 0;
-      let earnedPoints = 0;
-      const assignmentDetails = [];
-      
-      for (const assignment of assignments) {
-        totalPoints += assignment.total_points;
-        earnedPoints += assignment.total_score || 0;
-        
-        assignmentDetails.push({
-          assignmentId: assignment.assignment_id,
-          title: assignment.title,
-          totalPoints: assignment.total_points,
-          earnedPoints: assignment.total_score || 0,
-          percentage: assignment.total_score ? (assignment.total_score / assignment.total_points) * 100 : 0
-        });
-      }
-      
-      const categoryPercentage = totalPoints > 0 ? (earnedPoints / totalPoints) * 100 : 0;
-      const weightedScore = (categoryPercentage / 100) * category.weight;
-      
-      finalGrade += weightedScore;
-      
-      categoryGrades.push({
-        categoryId: category.category_id,
-        name: category.name,
-        weight: category.weight,
-        percentage: categoryPercentage,
-        weightedScore,
-        assignments: assignmentDetails
-      });
+      throw error;
     }
     
-    // Get grading scale for the course
-    const scaleResult = await pool.query(
-      `SELECT gs.scale_id, gs.name, gst.grade, gst.min_score, gst.max_score
-       FROM grading_scales gs
-       JOIN course_grading_scales cgs ON gs.scale_id = cgs.scale_id
-       JOIN grading_scale_thresholds gst ON gs.scale_id = gst.scale_id
-       WHERE cgs.course_id = $1
-       ORDER BY gst.min_score DESC`,
-      [courseId]
+    return {
+      statusCode: 202,
+      body: JSON.stringify({
+        message: 'Report card job started',
+        jobId,
+        gradeLevel,
+        format,
+        totalStudents
+      })
+    };
+  } catch (error) {
+    console.error('Error in generateReportCardBatch:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ message: 'Internal server error' })
+    };
+  }
+};
+
+/**
+ * Process a report card job (invoked asynchronously by generateReportCardBatch)
+ * 
+ * @param {Object} event - Invocation payload with jobId
+ */
+exports.processReportCardJob = async (event) => {
+  const { jobId } = event;
+  
+  try {
+    const jobResult = await pool.query(
+      `UPDATE report_card_jobs
+       SET status = 'running', started_at = CURRENT_TIMESTAMP
+       WHERE job_id = $1 AND status = 'queued'
+       RETURNING grade_level, format, include_unreleased`,
+      [jobId]
     );
     
-    let letterGrade = null;
+    // Already picked up by another invocation
+    if (jobResult.rows.length === 0) {
+      return;
+    }
+    
+    const { grade_level: gradeLevel, format, include_unreleased: includeUnreleased } = jobResult.rows[0];
+    
+    const studentsResult = await pool.query(
+      `SELECT sp.student_id
+       FROM student_profiles sp
+       JOIN users u ON sp.user_id = u.user_id
+       WHERE sp.grade_level = $1 AND u.is_active = TRUE
+       ORDER BY sp.last_name, sp.first_name`,
+      [gradeLevel]
+    );
     
-    if (scaleResult.rows.length > 0) {
-      const scale = scaleResult.rows;
+    const zip = new JSZip();
+    let processed = 0;
+    for (const { student_id: studentId } of studentsResult.rows) {
+      const card = await buildReportCard(studentId, { includeUnreleased });
+      zip.file(reportCardFileName(card, format), await renderReportCard(card, format));
       
-      // Find letter grade based on final grade
-      for (const threshold of scale) {
-        if (finalGrade >= threshold.min_score && finalGrade <= threshold.max_score) {
-          letterGrade = threshold.grade;
-          break;
-        }
-      }
+      processed++;
+      await pool.query(
+        'UPDATE report_card_jobs SET processed_students = $1 WHERE job_id = $2',
+        [processed, jobId]
+      );
     }
     
-    // Update enrollment record with final grade
+    const file = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    const fileName = `report-cards-grade-${gradeLevel}-${new Date().toISOString().slice(0, 10)}.zip`;
+    const fileKey = await putExport('exports/report-cards/batch', fileName, file, 'application/zip');
+    
     await pool.query(
-      `UPDATE enrollments
-       SET final_grade = $1
-       WHERE student_id = $2 AND course_id = $3`,
-      [finalGrade, studentId, courseId]
+      `UPDATE report_card_jobs
+       SET status = 'completed', total_students = $1, file_key = $2, completed_at = CURRENT_TIMESTAMP
+       WHERE job_id = $3`,
+      [studentsResult.rows.length, fileKey, jobId]
+    );
+  } catch (error) {
+    console.error('Error in processReportCardJob:', error);
+    try {
+      await pool.query(
+        `UPDATE report_card_jobs
+         SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error = $1
+         WHERE job_id = $2`,
+        [error.message, jobId]
+      );
+    } catch (updateError) {
+      console.error(`Error marking report card job ${jobId} failed:`, updateError);
+    }
+  }
+};
+
+/**
+ * Get the progress of a report card job, with a download link once it is completed
+ * 
+ * Like grading jobs, a job still queued or running after JOB_STALE_MINUTES is marked failed.
+ * 
+ * @param {Object} event - Lambda event object
+ * @returns {Object} - Response with job status or error
+ */
+exports.getReportCardJob = async (event) => {
+  try {
+    const { jobId } = event.pathParameters;
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (!await isAdminUser(userId)) {
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ message: 'Only admins can view report card jobs' })
+      };
+    }
+    
+    await pool.query(
+      `UPDATE report_card_jobs
+       SET status = 'failed', completed_at = CURRENT_TIMESTAMP, error = $1
+       WHERE job_id = $2 AND status IN ('queued', 'running')
+         AND COALESCE(started_at, created_at) < CURRENT_TIMESTAMP - make_interval(mins => $3)`,
+      [`Job did not finish within ${JOB_STALE_MINUTES} minutes`, jobId, JOB_STALE_MINUTES]
+    );
+    
+    const result = await pool.query(
+      `SELECT job_id, grade_level, format, include_unreleased, status, total_students, processed_students,
+              file_key, error, created_at, started_at, completed_at
+       FROM report_card_jobs
+       WHERE job_id = $1`,
+      [jobId]
     );
     
+    if (result.rows.length === 0) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ message: 'Report card job not found' })
+      };
+    }
+    
+    const { file_key: fileKey, ...job } = result.rows[0];
+    
     return {
       statusCode: 200,
       body: JSON.stringify({
-        studentId,
-        courseId,
-        finalGrade,
-        letterGrade,
-        categoryGrades
+        ...job,
+        progress: job.total_students > 0
+          ? Math.round((job.processed_students / job.total_students) * 100)
+          : 100,
+        url: job.status === 'completed' && fileKey ? exportDownloadUrl(fileKey) : null
       })
     };
   } catch (error) {
-    console.error('Error in calculateFinalGrade:', error);
+    console.error('Error in getReportCardJob:', error);
     return {
       statusCode: 500,
       body: JSON.stringify({ message: 'Internal server error' })
     };
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Collect the grades of every course a student is enrolled in for a report card
+ * 
+ * The term GPA is the credit-weighted average of the GPA points of courses
+ * whose grading scale defines them.
+ * 
+ * @param {number} studentId - Student ID
+ * @param {Object} options - { includeUnreleased, teacherUserId } where teacherUserId limits the card to that teacher's courses
+ * @returns {Object|null} - Report card data, or null if the student does not exist
+ */
+async function buildReportCard(studentId, options = {}) {
+  const studentResult = await pool.query(
+    'SELECT student_id, first_name, last_name, student_number, grade_level FROM student_profiles WHERE student_id = $1',
+    [studentId]
+  );
+  
+  if (studentResult.rows.length === 0) {
+    return null;
+  }
+  
+  const student = studentResult.rows[0];
+  
+  const coursesResult = await pool.query(
+    `SELECT c.course_id, c.course_code, c.title, c.credit_hours, e.report_comment,
+            STRING_AGG(tp.first_name || ' ' || tp.last_name, ', ' ORDER BY ct.role, tp.last_name) AS teachers
+     FROM enrollments e
+     JOIN courses c ON e.course_id = c.course_id
+     LEFT JOIN course_teachers ct ON c.course_id = ct.course_id
+     LEFT JOIN teacher_profiles tp ON ct.teacher_id = tp.teacher_id
+     WHERE e.student_id = $1 AND e.status IN ('active', 'completed') AND c.is_active = TRUE
+       AND ($2::integer IS NULL OR EXISTS (
+         SELECT 1 FROM course_teachers own
+         JOIN teacher_profiles own_tp ON own.teacher_id = own_tp.teacher_id
+         WHERE own.course_id = c.course_id AND own_tp.user_id = $2
+       ))
+     GROUP BY c.course_id, e.report_comment
+     ORDER BY c.course_code`,
+    [studentId, options.teacherUserId === undefined ? null : options.teacherUserId]
+  );
+  
+  const courses = [];
+  let qualityPoints = 0;
+  let gpaCredits = 0;
+  let totalCredits = 0;
+  
+  for (const course of coursesResult.rows) {
+    const grade = await computeCourseGrade(studentId, course.course_id, { releasedOnly: !options.includeUnreleased });
+    const creditHours = course.credit_hours;
+    
+    totalCredits += creditHours || 0;
+    if (grade && grade.gpaPoints !== null && creditHours) {
+      qualityPoints += grade.gpaPoints * creditHours;
+      gpaCredits += creditHours;
+    }
+    
+    courses.push({
+      courseId: course.course_id,
+      courseCode: course.course_code,
+      title: course.title,
+      teachers: course.teachers,
+      creditHours,
+      categories: grade
+        ? grade.categoryGrades.map(category => ({
+          name: category.name,
+          weight: category.weight,
+          percentage: category.percentage
+        }))
+        : [],
+      finalGrade: grade ? grade.finalGrade : null,
+      letterGrade: grade ? grade.letterGrade : null,
+      gpaPoints: grade ? grade.gpaPoints : null,
+      comment: course.report_comment
+    });
+  }
+  
+  return {
+    student: {
+      studentId: student.student_id,
+      name: `${student.first_name} ${student.last_name}`,
+      studentNumber: student.student_number,
+      gradeLevel: student.grade_level
+    },
+    generatedAt: new Date().toISOString(),
+    courses,
+    termGpa: gpaCredits > 0 ? Math.round((qualityPoints / gpaCredits) * 100) / 100 : null,
+    totalCredits
+  };
+}
+
+/**
+ * Render a report card in the requested format
+ * 
+ * @param {Object} card - Report card data
+ * @param {string} format - 'html' or 'pdf'
+ * @returns {Buffer} - Rendered file
+ */
+async function renderReportCard(card, format) {
+  return format === 'pdf'
+    ? reportCard.renderPdf(card)
+    : Buffer.from(reportCard.renderHtml(card), 'utf8');
+}
+
+/**
+ * Build the file name of a report card
+ * 
+ * @param {Object} card - Report card data
+ * @param {string} format - 'html' or 'pdf'
+ * @returns {string} - File name
+ */
+function reportCardFileName(card, format) {
+  const name = card.student.name.replace(/[^A-Za-z0-9]+/g, '-');
+  return `${card.student.studentNumber || card.student.studentId}-${name}-report-card.${format}`;
+}
+
+/**
+ * Upload a generated file to S3 and return a short-lived download link
+ * 
+ * @param {string} prefix - Key prefix
+ * @param {string} fileName - Download file name
+ * @param {Buffer} body - File contents
+ * @param {string} contentType - Content type
+ * @returns {string} - Signed download URL
+ */
+async function uploadExport(prefix, fileName, body, contentType) {
+  return exportDownloadUrl(await putExport(prefix, fileName, body, contentType));
+}
+
+/**
+ * Upload a generated file to S3
+ * 
+ * @param {string} prefix - Key prefix
+ * @param {string} fileName - Download file name
+ * @param {Buffer} body - File contents
+ * @param {string} contentType - Content type
+ * @returns {string} - S3 key of the file
+ */
+async function putExport(prefix, fileName, body, contentType) {
+  const key = `${prefix}/${Date.now()}-${fileName}`;
+  
+  await s3.putObject({
+    Bucket: process.env.S3_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: contentType,
+    ContentDisposition: `attachment; filename="${fileName}"`
+  }).promise();
+  
+  return key;
+}
+
+/**
+ * Create a short-lived download link for an uploaded export
+ * 
+ * @param {string} key - S3 key of the file
+ * @returns {string} - Signed download URL
+ */
+function exportDownloadUrl(key) {
+  return s3.getSignedUrl('getObject', {
+    Bucket: process.env.S3_BUCKET,
+    Key: key,
+    Expires: 900
+  });
+}
+
+/**
+ * Score the assignments in a category
+ * 
+ * Excused assignments are left out entirely. Extra credit adds to the earned
+ * points without adding to the possible points and is never dropped. The
+ * category's drop_lowest rule is applied first, then keep_highest; at least
+ * one regular assignment is always kept.
+ * 
+ * @param {Object} category - Category row with drop_lowest and keep_highest
+ * @param {Array} assignments - Assignment rows with total_score, is_extra_credit and is_excused
+ * @returns {Object} - Category percentage, possible points and per-assignment details with their status
+ */
+function scoreCategory(category, assignments) {
+  const assignmentDetails = assignments.map(assignment => {
+    const totalPoints = Number(assignment.total_points);
+    const earnedPoints = assignment.total_score !== null ? Number(assignment.total_score) : 0;
+    
+    let status = 'counted';
+    if (assignment.is_excused) {
+      status = 'excused';
+    } else if (assignment.is_extra_credit) {
+      status = 'extra_credit';
+    }
+    
+    return {
+      assignmentId: assignment.assignment_id,
+      title: assignment.title,
+      totalPoints,
+      earnedPoints,
+      percentage: totalPoints > 0 ? (earnedPoints / totalPoints) * 100 : 0,
+      graded: assignment.total_score !== null,
+      status
+    };
+  });
+  
+  // Lowest percentages first; on ties, drop the assignment worth more points
+  const regular = assignmentDetails
+    .filter(a => a.status === 'counted')
+    .sort((a, b) => a.percentage - b.percentage || b.totalPoints - a.totalPoints);
+  
+  let dropCount = Math.min(category.drop_lowest || 0, Math.max(regular.length - 1, 0));
+  if (category.keep_highest) {
+    dropCount = Math.max(dropCount, regular.length - Math.max(category.keep_highest, 1));
+  }
+  
+  regular.slice(0, dropCount).forEach(a => {
+    a.status = 'dropped';
+  });
+  
+  let totalPoints = 0;
+  let earnedPoints = 0;
+  
+  for (const assignment of assignmentDetails) {
+    if (assignment.status === 'counted') {
+      totalPoints += assignment.totalPoints;
+      earnedPoints += assignment.earnedPoints;
+    } else if (assignment.status === 'extra_credit') {
+      earnedPoints += assignment.earnedPoints;
+    }
+  }
+  
+  return {
+    percentage: totalPoints > 0 ? (earnedPoints / totalPoints) * 100 : 0,
+    possiblePoints: totalPoints,
+    assignmentDetails
+  };
+}
+
@@ -0,0 +1,221 @@
+/**
+ * GRANDMAS - Grading Scale
+ *
+ * This module rounds percentage grades and maps them onto letter, pass/fail
+ * and standards-based grading scales.
+ */
+
+// Supported scale types
+const SCALE_TYPES = ['letter', 'pass_fail', 'standards'];
+
+// Supported rounding rules
+const ROUNDING_MODES = ['none', 'half_up', 'decimals'];
+
+// Largest number of decimals scores are stored with
+const MAX_DECIMALS = 2;
+
+// Standards-based scales use proficiency levels 1-4
+const STANDARDS_LEVELS = ['1', '2', '3', '4'];
+
+/**
+ * Build a scale from grading_scales / grading_scale_thresholds rows
+ *
+ * @param {Array} rows - Joined rows for one scale
+ * @returns {Object|null} - Scale, or null if there are no rows
+ */
+function scaleFromRows(rows) {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    scaleId: rows[0].scale_id,
+    name: rows[0].name,
+    scaleType: rows[0].scale_type || 'letter',
+    rounding: {
+      mode: rows[0].rounding_mode || 'none',
+      decimals: rows[0].rounding_decimals || 0
+    },
+    thresholds: rows.map(row => ({
+      grade: row.grade,
+      minScore: Number(row.min_score),
+      maxScore: Number(row.max_score),
+      gpaPoints: row.gpa_points !== null && row.gpa_points !== undefined ? Number(row.gpa_points) : null,
+      isPassing: row.is_passing !== null && row.is_passing !== undefined ? row.is_passing : null
+    }))
+  };
+}
+
+/**
+ * Round a value half up to a number of decimals
+ *
+ * The scaled value is nudged by a relative Number.EPSILON so values like
+ * 89.995, stored just below the half, still round up.
+ *
+ * @param {number} value - Value to round
+ * @param {number} decimals - Number of decimals
+ * @returns {number} - Rounded value
+ */
+function roundHalfUp(value, decimals) {
+  const factor = 10 ** decimals;
+  const scaled = value * factor;
+  return Math.round(scaled + Math.abs(scaled) * Number.EPSILON) / factor;
+}
+
+/**
+ * Apply a scale's rounding rule to a percentage grade
+ *
+ * @param {number} grade - Percentage grade
+ * @param {Object} rounding - { mode: 'none' | 'half_up' | 'decimals', decimals }
+ * @returns {number} - Rounded grade
+ */
+function roundGrade(grade, rounding = {}) {
+  switch (rounding.mode) {
+    case 'half_up':
+      return roundHalfUp(grade, 0);
+    case 'decimals':
+      return roundHalfUp(grade, rounding.decimals || 0);
+    default:
+      return grade;
+  }
+}
+
+/**
+ * Map a percentage grade onto a scale
+ *
+ * The grade is rounded first, then matched to the band with the highest
+ * minimum score it reaches, so no score can fall between two bands.
+ *
+ * @param {Object} scale - Scale (see scaleFromRows)
+ * @param {number} grade - Percentage grade
+ * @returns {Object|null} - { score, grade, gpaPoints, isPassing }, or null if no band matches
+ */
+function applyGradingScale(scale, grade) {
+  if (!scale || grade === null || grade === undefined) {
+    return null;
+  }
+
+  const score = roundGrade(grade, scale.rounding);
+  const band = [...scale.thresholds]
+    .sort((a, b) => b.minScore - a.minScore)
+    .find(threshold => score >= threshold.minScore);
+
+  if (!band) {
+    return null;
+  }
+
+  return {
+    score,
+    grade: band.grade,
+    gpaPoints: band.gpaPoints,
+    isPassing: band.isPassing
+  };
+}
+
+/**
+ * Validate a grading scale definition
+ *
+ * Bands must start at 0 and follow on from each other without gaps or
+ * overlaps. A band may end where the next one starts, or 0.01 below it.
+ *
+ * @param {Object} scale - { scaleType, rounding, thresholds }
+ * @returns {Array} - Validation error messages (empty if valid)
+ */
+function validateGradingScale(scale) {
+  const errors = [];
+  const scaleType = scale.scaleType || 'letter';
+  const rounding = scale.rounding || { mode: 'none' };
+
+  if (!SCALE_TYPES.includes(scaleType)) {
+    errors.push(`Scale type must be one of: ${SCALE_TYPES.join(', ')}`);
+  }
+
+  if (!ROUNDING_MODES.includes(rounding.mode)) {
+    errors.push(`Rounding mode must be one of: ${ROUNDING_MODES.join(', ')}`);
+  } else if (rounding.mode === 'decimals' &&
+             !(Number.isInteger(rounding.decimals) && rounding.decimals >= 0 && rounding.decimals <= MAX_DECIMALS)) {
+    errors.push(`Rounding decimals must be a whole number from 0 to ${MAX_DECIMALS}`);
+  }
+
+  if (!Array.isArray(scale.thresholds) || scale.thresholds.length === 0) {
+    errors.push('At least one grade band is required');
+    return errors;
+  }
+
+  const grades = new Set();
+  for (const [index, threshold] of scale.thresholds.entries()) {
+    const label = threshold.grade ? `Band "${threshold.grade}"` : `Band ${index + 1}`;
+
+    if (typeof threshold.grade !== 'string' || threshold.grade.trim() === '' || threshold.grade.length > 10) {
+      errors.push(`${label}: grade must be a label of 1-10 characters`);
+    } else if (grades.has(threshold.grade)) {
+      errors.push(`${label}: grade is used more than once`);
+    } else {
+      grades.add(threshold.grade);
+    }
+
+    if (typeof threshold.minScore !== 'number' || typeof threshold.maxScore !== 'number') {
+      errors.push(`${label}: minScore and maxScore must be numbers`);
+    } else if (threshold.minScore < 0 || threshold.minScore > threshold.maxScore) {
+      errors.push(`${label}: minScore must be between 0 and maxScore`);
+    }
+
+    if (threshold.gpaPoints !== undefined && threshold.gpaPoints !== null &&
+        !(typeof threshold.gpaPoints === 'number' && threshold.gpaPoints >= 0 && threshold.gpaPoints < 10)) {
+      errors.push(`${label}: gpaPoints must be a number from 0 to 9.99`);
+    }
+
+    if (scaleType === 'pass_fail' && typeof threshold.isPassing !== 'boolean') {
+      errors.push(`${label}: isPassing is required for pass/fail scales`);
+    }
+
+    if (scaleType === 'standards' && !STANDARDS_LEVELS.includes(threshold.grade)) {
+      errors.push(`${label}: standards-based grades must be one of ${STANDARDS_LEVELS.join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const bands = [...scale.thresholds].sort((a, b) => a.minScore - b.minScore);
+
+  if (bands[0].minScore !== 0) {
+    errors.push(`Scores below ${bands[0].minScore} are not covered by any band`);
+  }
+
+  for (let i = 1; i < bands.length; i++) {
+    const previous = bands[i - 1];
+    const band = bands[i];
+    const step = roundHalfUp(band.minScore - previous.maxScore, MAX_DECIMALS);
+
+    if (step > 0.01) {
+      errors.push(`Gap between "${previous.grade}" and "${band.grade}" (${previous.maxScore} to ${band.minScore})`);
+    } else if (step < 0) {
+      errors.push(`Bands "${previous.grade}" and "${band.grade}" overlap`);
+    }
+  }
+
+  if (scaleType === 'pass_fail') {
+    if (!bands.some(band => band.isPassing) || !bands.some(band => !band.isPassing)) {
+      errors.push('Pass/fail scales need at least one passing and one failing band');
+    }
+  }
+
+  if (scaleType === 'standards') {
+    // Higher proficiency levels must need higher scores
+    const levels = bands.map(band => Number(band.grade));
+    if (levels.some((level, index) => index > 0 && level < levels[index - 1])) {
+      errors.push('Standards-based levels must increase with score');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  scaleFromRows,
+  roundGrade,
+  applyGradingScale,
+  validateGradingScale
+};
@@ -0,0 +1,213 @@
+/**
+ * GRANDMAS - Item Analysis
+ *
+ * This module computes psychometric statistics for the questions of a graded
+ * assignment: difficulty, discrimination, distractor frequencies and reliability.
+ */
+
+// Thresholds used to flag questions for review
+const FLAGS = {
+  veryHard: 0.2,
+  veryEasy: 0.95,
+  lowDiscrimination: 0.2
+};
+
+// Minimum number of students before statistics are meaningful
+const MIN_STUDENTS = 5;
+
+/**
+ * Mean of a list of numbers
+ *
+ * @param {Array} values - Numbers
+ * @returns {number} - Mean (0 for an empty list)
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Population variance of a list of numbers
+ *
+ * @param {Array} values - Numbers
+ * @returns {number} - Variance
+ */
+function variance(values) {
+  const average = mean(values);
+  return mean(values.map(value => (value - average) ** 2));
+}
+
+/**
+ * Pearson correlation of two equally long lists
+ *
+ * @param {Array} x - First list
+ * @param {Array} y - Second list
+ * @returns {number|null} - Correlation, or null if either list has no variance
+ */
+function correlation(x, y) {
+  const meanX = mean(x);
+  const meanY = mean(y);
+  let covariance = 0;
+  for (let i = 0; i < x.length; i++) {
+    covariance += (x[i] - meanX) * (y[i] - meanY);
+  }
+  covariance /= x.length;
+
+  const deviation = Math.sqrt(variance(x) * variance(y));
+  return deviation > 0 ? covariance / deviation : null;
+}
+
+/**
+ * Round a statistic for reporting
+ *
+ * @param {number|null} value - Value to round
+ * @returns {number|null} - Value rounded to 3 decimals
+ */
+function round(value) {
+  return value === null || Number.isNaN(value) ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Get the ID of a choice option the way the question components do
+ *
+ * @param {Object|string} option - Option
+ * @param {number} index - Position of the option
+ * @returns {string} - Option ID
+ */
+function optionId(option, index) {
+  return String(option.id || option.value || index);
+}
+
+/**
+ * Count how often each option of a choice question was selected
+ *
+ * @param {Object} question - Question ({ type, options, correctAnswer })
+ * @param {Array} responses - Response data of each student (null if unanswered)
+ * @returns {Array} - Options ({ optionId, text, isCorrect, count, proportion })
+ */
+function optionFrequencies(question, responses) {
+  const correct = new Set(
+    (Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer]).map(String)
+  );
+
+  return (question.options || []).map((option, index) => {
+    const id = optionId(option, index);
+    const count = responses.filter(response => Array.isArray(response)
+      ? response.map(String).includes(id)
+      : response !== null && response !== undefined && String(response) === id
+    ).length;
+
+    return {
+      optionId: id,
+      text: option.text || option,
+      isCorrect: correct.has(id),
+      count,
+      proportion: round(responses.length > 0 ? count / responses.length : 0)
+    };
+  });
+}
+
+/**
+ * Analyze the questions of an assignment
+ *
+ * Each student's missing response counts as zero. Discrimination is the
+ * correlation between the question score and the rest of the test score
+ * (point-biserial for right/wrong questions). Reliability is KR-20 when every
+ * question is scored right/wrong, otherwise Cronbach's alpha.
+ *
+ * @param {Array} questions - Questions ({ questionId, type, points, options, correctAnswer })
+ * @param {Array} students - Students ({ studentId, responses: { [questionId]: { score, responseData } } })
+ * @returns {Object} - { studentCount, reliability, questions }
+ */
+function analyzeItems(questions, students) {
+  const scores = questions.map(question => students.map(student => {
+    const response = student.responses[question.questionId];
+    return response && response.score !== null && response.score !== undefined ? Number(response.score) : 0;
+  }));
+  const totals = students.map((student, index) => scores.reduce((sum, itemScores) => sum + itemScores[index], 0));
+
+  const questionStats = questions.map((question, questionIndex) => {
+    const itemScores = scores[questionIndex];
+    const points = Number(question.points);
+    const restScores = totals.map((total, index) => total - itemScores[index]);
+    const difficulty = points > 0 ? mean(itemScores) / points : null;
+    const discrimination = students.length >= 2 ? correlation(itemScores, restScores) : null;
+
+    const stats = {
+      questionId: question.questionId,
+      type: question.type,
+      points,
+      responseCount: students.filter(student => student.responses[question.questionId]).length,
+      difficulty: round(difficulty),
+      discrimination: round(discrimination),
+      flags: []
+    };
+
+    if (question.type === 'multiple_choice' || question.type === 'multiple_answer') {
+      const responses = students.map(student => {
+        const response = student.responses[question.questionId];
+        return response ? response.responseData : null;
+      });
+      stats.options = optionFrequencies(question, responses);
+
+      // A distractor picked more often than the key suggests a mis-keyed or ambiguous question
+      const keyCount = Math.max(0, ...stats.options.filter(option => option.isCorrect).map(option => option.count));
+      if (stats.options.some(option => !option.isCorrect && option.count > keyCount)) {
+        stats.flags.push('distractor_more_popular_than_key');
+      }
+    }
+
+    if (difficulty !== null && difficulty < FLAGS.veryHard) {
+      stats.flags.push('very_hard');
+    } else if (difficulty !== null && difficulty > FLAGS.veryEasy) {
+      stats.flags.push('very_easy');
+    }
+
+    if (discrimination !== null && discrimination < 0) {
+      stats.flags.push('negative_discrimination');
+    } else if (discrimination !== null && discrimination < FLAGS.lowDiscrimination) {
+      stats.flags.push('low_discrimination');
+    }
+
+    return stats;
+  });
+
+  return {
+    studentCount: students.length,
+    enoughData: students.length >= MIN_STUDENTS,
+    reliability: reliability(questions, scores, totals),
+    questions: questionStats
+  };
+}
+
+/**
+ * Calculate the internal consistency reliability of a test
+ *
+ * @param {Array} questions - Questions with points
+ * @param {Array} scores - Scores per question, per student
+ * @param {Array} totals - Total score per student
+ * @returns {Object} - { method: 'kr20' | 'cronbach_alpha', value }
+ */
+function reliability(questions, scores, totals) {
+  const k = questions.length;
+  const dichotomous = questions.every((question, index) =>
+    scores[index].every(score => score === 0 || score === Number(question.points))
+  );
+  const method = dichotomous ? 'kr20' : 'cronbach_alpha';
+
+  const totalVariance = variance(totals);
+  if (k < 2 || totalVariance === 0) {
+    return { method, value: null };
+  }
+
+  // For right/wrong items the item variance is p * q (times points squared), so KR-20 and alpha share a formula
+  const itemVariance = scores.reduce((sum, itemScores) => sum + variance(itemScores), 0);
+
+  return {
+    method,
+    value: round((k / (k - 1)) * (1 - itemVariance / totalVariance))
+  };
+}
+
+module.exports = {
+  analyzeItems
+};
@@ -0,0 +1,157 @@
+/**
+ * GRANDMAS - Report Card Renderer
+ *
+ * This module renders a student's report card as HTML or PDF.
+ */
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a percentage for display
+ *
+ * @param {number|null} value - Percentage
+ * @returns {string} - Percentage with one decimal, or a dash
+ */
+function formatPercentage(value) {
+  return value === null || value === undefined ? '—' : `${(Math.round(value * 10) / 10).toFixed(1)}%`;
+}
+
+/**
+ * Format a GPA for display
+ *
+ * @param {number|null} value - GPA
+ * @returns {string} - GPA with two decimals, or a dash
+ */
+function formatGpa(value) {
+  return value === null || value === undefined ? '—' : value.toFixed(2);
+}
+
+/**
+ * Render a report card as a standalone HTML page
+ *
+ * @param {Object} card - Report card ({ student, generatedAt, courses, termGpa, totalCredits })
+ * @returns {string} - HTML document
+ */
+function renderHtml(card) {
+  const courses = card.courses.map(course => `
+    <section class="course">
+      <h2>${escapeHtml(course.title)} <span class="code">${escapeHtml(course.courseCode)}</span></h2>
+      <p class="meta">
+        Teacher: ${escapeHtml(course.teachers || '—')} &middot;
+        Credit hours: ${escapeHtml(course.creditHours === null ? '—' : course.creditHours)}
+      </p>
+      <table>
+        <thead><tr><th>Category</th><th>Weight</th><th>Score</th></tr></thead>
+        <tbody>
+          ${course.categories.map(category => `
+          <tr><td>${escapeHtml(category.name)}</td><td>${escapeHtml(category.weight)}%</td><td>${formatPercentage(category.percentage)}</td></tr>`).join('')}
+        </tbody>
+        <tfoot>
+          <tr><th>Final grade</th><th></th><th>${formatPercentage(course.finalGrade)} ${escapeHtml(course.letterGrade || '')}</th></tr>
+        </tfoot>
+      </table>
+      ${course.comment ? `<p class="comment"><strong>Comments:</strong> ${escapeHtml(course.comment)}</p>` : ''}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Report Card - ${escapeHtml(card.student.name)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; margin: 2em; color: #222; }
+    h1 { margin-bottom: 0.2em; }
+    .code { color: #666; font-size: 0.7em; font-weight: normal; }
+    .meta, .comment { margin: 0.3em 0; }
+    table { border-collapse: collapse; width: 100%; margin-top: 0.5em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    tfoot th { background: #f3f3f3; }
+    .course { page-break-inside: avoid; margin-bottom: 1.5em; }
+    .summary { font-size: 1.1em; margin-top: 1em; }
+  </style>
+</head>
+<body>
+  <h1>Report Card</h1>
+  <p>
+    ${escapeHtml(card.student.name)}
+    ${card.student.studentNumber ? `&middot; Student number: ${escapeHtml(card.student.studentNumber)}` : ''}
+    ${card.student.gradeLevel ? `&middot; Grade level: ${escapeHtml(card.student.gradeLevel)}` : ''}
+  </p>
+  <p class="meta">Generated ${escapeHtml(card.generatedAt.slice(0, 10))}</p>
+  ${courses}
+  <p class="summary"><strong>Term GPA:</strong> ${formatGpa(card.termGpa)} (${escapeHtml(card.totalCredits)} credit hours)</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report card as a PDF
+ *
+ * @param {Object} card - Report card ({ student, generatedAt, courses, termGpa, totalCredits })
+ * @returns {Promise<Buffer>} - PDF file
+ */
+function renderPdf(card) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).text('Report Card');
+    doc.fontSize(11).text([
+      card.student.name,
+      card.student.studentNumber ? `Student number: ${card.student.studentNumber}` : null,
+      card.student.gradeLevel ? `Grade level: ${card.student.gradeLevel}` : null
+    ].filter(Boolean).join('  |  '));
+    doc.fontSize(9).fillColor('#666').text(`Generated ${card.generatedAt.slice(0, 10)}`).fillColor('black');
+    doc.moveDown();
+
+    for (const course of card.courses) {
+      doc.fontSize(13).text(`${course.title} (${course.courseCode})`);
+      doc.fontSize(10).text(`Teacher: ${course.teachers || '—'}    Credit hours: ${course.creditHours === null ? '—' : course.creditHours}`);
+
+      for (const category of course.categories) {
+        const y = doc.y;
+        doc.text(category.name, 70, y, { width: 250 });
+        doc.text(`${category.weight}%`, 330, y, { width: 80 });
+        doc.text(formatPercentage(category.percentage), 420, y, { width: 100 });
+      }
+
+      doc.font('Helvetica-Bold')
+        .text(`Final grade: ${formatPercentage(course.finalGrade)} ${course.letterGrade || ''}`, 50)
+        .font('Helvetica');
+
+      if (course.comment) {
+        doc.text(`Comments: ${course.comment}`);
+      }
+      doc.moveDown();
+    }
+
+    doc.fontSize(12).font('Helvetica-Bold')
+      .text(`Term GPA: ${formatGpa(card.termGpa)} (${card.totalCredits} credit hours)`);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderHtml,
+  renderPdf
+};
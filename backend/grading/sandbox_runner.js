@@ -0,0 +1,25 @@
+/**
+ * GRANDMAS - Code Sandbox Runner
+ *
+ * This module is the entry point of the isolated function that runs student
+ * code. It is deployed without database credentials, IAM permissions or
+ * network access, and is only invoked by the grading functions.
+ */
+
+const codeSandbox = require('./code_sandbox');
+
+/**
+ * Run submitted code against its test cases
+ *
+ * @param {Object} event - { code, language, testCases, limits }
+ * @returns {Object} - { results } or { error }
+ */
+exports.runCode = async (event) => {
+  try {
+    const results = await codeSandbox.runTestCases(event.code, event.language, event.testCases || [], event.limits);
+    return { results };
+  } catch (error) {
+    console.error('Error in runCode:', error);
+    return { error: error.message };
+  }
+};
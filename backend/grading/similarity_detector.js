@@ -0,0 +1,263 @@
+/**
+ * GRANDMAS - Similarity Detector
+ *
+ * This module finds matching passages between student responses so that
+ * unusually similar essays, short answers and programs can be reviewed.
+ */
+
+// Keywords kept as-is when normalizing code (all other identifiers are renamed)
+const CODE_KEYWORDS = new Set([
+  // JavaScript
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof',
+  'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'undefined', 'var', 'void', 'while', 'yield',
+  // Python
+  'and', 'as', 'assert', 'def', 'del', 'elif', 'except', 'from', 'global', 'is', 'lambda', 'None',
+  'nonlocal', 'not', 'or', 'pass', 'raise', 'True', 'False', 'with'
+]);
+
+// Minimum run of matching tokens reported as a match
+const DEFAULT_MIN_MATCH = { code: 8, text: 5 };
+
+// Cap on candidate positions per token sequence, to bound work on repetitive input
+const MAX_POSITIONS_PER_KEY = 50;
+
+/**
+ * Split code into normalized tokens
+ *
+ * Comments and whitespace are dropped, identifiers become "ID" and string
+ * literals become "STR", so renaming variables or reformatting does not hide a match.
+ *
+ * @param {string} code - Source code
+ * @param {string} language - Language name (decides comment syntax)
+ * @returns {Array} - Tokens ({ value, start, end }) with offsets into the original code
+ */
+function tokenizeCode(code, language = 'javascript') {
+  const lineComment = language === 'python' ? '#' : '//';
+  const pattern = new RegExp([
+    `${lineComment === '#' ? '#' : '\\/\\/'}[^\\n]*`, // line comment
+    '\\/\\*[\\s\\S]*?\\*\\/', // block comment
+    '"""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'', // triple-quoted string
+    '"(?:\\\\.|[^"\\\\])*"|\'(?:\\\\.|[^\'\\\\])*\'|`(?:\\\\.|[^`\\\\])*`', // string
+    '[A-Za-z_$][A-Za-z0-9_$]*', // identifier or keyword
+    '\\d+(?:\\.\\d+)?', // number
+    '\\S' // operator or punctuation
+  ].join('|'), 'g');
+
+  const tokens = [];
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    const text = match[0];
+    let value;
+
+    if (text.startsWith(lineComment) || text.startsWith('/*')) {
+      continue;
+    } else if (/^["'`]/.test(text)) {
+      value = 'STR';
+    } else if (/^[A-Za-z_$]/.test(text)) {
+      value = CODE_KEYWORDS.has(text) ? text : 'ID';
+    } else {
+      value = text;
+    }
+
+    tokens.push({ value, start: match.index, end: match.index + text.length });
+  }
+
+  return tokens;
+}
+
+/**
+ * Split prose into lower-cased word tokens
+ *
+ * @param {string} text - Response text
+ * @param {Function} stem - Optional stemmer applied to each word
+ * @returns {Array} - Tokens ({ value, start, end }) with offsets into the original text
+ */
+function tokenizeText(text, stem = word => word) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}']+/gu;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({
+      value: stem(match[0].toLowerCase()),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Find non-overlapping runs of identical tokens between two token lists
+ *
+ * Longest runs are taken first (greedy string tiling).
+ *
+ * @param {Array} tokensA - First token list
+ * @param {Array} tokensB - Second token list
+ * @param {number} minLength - Minimum run length
+ * @returns {Array} - Matches ({ startA, startB, length }) in token positions
+ */
+function findMatches(tokensA, tokensB, minLength) {
+  if (tokensA.length < minLength || tokensB.length < minLength) {
+    return [];
+  }
+
+  const key = (tokens, position) => tokens.slice(position, position + minLength).map(token => token.value).join('\u0000');
+
+  // Index every run of minLength tokens in B
+  const index = new Map();
+  for (let j = 0; j <= tokensB.length - minLength; j++) {
+    const positions = index.get(key(tokensB, j)) || [];
+    if (positions.length < MAX_POSITIONS_PER_KEY) {
+      positions.push(j);
+    }
+    index.set(key(tokensB, j), positions);
+  }
+
+  // Extend each seed to its maximal length
+  const candidates = [];
+  for (let i = 0; i <= tokensA.length - minLength; i++) {
+    for (const j of index.get(key(tokensA, i)) || []) {
+      // Only start at the beginning of a run
+      if (i > 0 && j > 0 && tokensA[i - 1].value === tokensB[j - 1].value) {
+        continue;
+      }
+      let length = minLength;
+      while (i + length < tokensA.length && j + length < tokensB.length &&
+             tokensA[i + length].value === tokensB[j + length].value) {
+        length++;
+      }
+      candidates.push({ startA: i, startB: j, length });
+    }
+  }
+
+  // Keep the longest runs that do not overlap an accepted run
+  candidates.sort((x, y) => y.length - x.length);
+  const usedA = new Array(tokensA.length).fill(false);
+  const usedB = new Array(tokensB.length).fill(false);
+  const matches = [];
+
+  for (const candidate of candidates) {
+    let free = true;
+    for (let k = 0; k < candidate.length && free; k++) {
+      free = !usedA[candidate.startA + k] && !usedB[candidate.startB + k];
+    }
+    if (!free) continue;
+
+    for (let k = 0; k < candidate.length; k++) {
+      usedA[candidate.startA + k] = true;
+      usedB[candidate.startB + k] = true;
+    }
+    matches.push(candidate);
+  }
+
+  return matches.sort((x, y) => x.startA - y.startA);
+}
+
+/**
+ * Tokenize a response once so it can be compared with many others
+ *
+ * @param {string} text - Response
+ * @param {Object} options - { kind: 'code' | 'text', language, stem }
+ * @returns {Object} - Prepared response ({ text, tokens })
+ */
+function prepareResponse(text, options = {}) {
+  const tokens = (options.kind || 'text') === 'code'
+    ? tokenizeCode(text, options.language)
+    : tokenizeText(text, options.stem);
+
+  return { text, tokens };
+}
+
+/**
+ * Compare two responses and describe the matching passages
+ *
+ * @param {string} textA - First response
+ * @param {string} textB - Second response
+ * @param {Object} options - { kind: 'code' | 'text', language, stem, minLength }
+ * @returns {Object} - { coverage, spans } where coverage is the share of tokens in matching runs
+ */
+function compareResponses(textA, textB, options = {}) {
+  return comparePrepared(prepareResponse(textA, options), prepareResponse(textB, options), options);
+}
+
+/**
+ * Compare two prepared responses and describe the matching passages
+ *
+ * @param {Object} responseA - First response from prepareResponse
+ * @param {Object} responseB - Second response from prepareResponse
+ * @param {Object} options - { kind: 'code' | 'text', minLength }
+ * @returns {Object} - { coverage, spans } where coverage is the share of tokens in matching runs
+ */
+function comparePrepared(responseA, responseB, options = {}) {
+  const kind = options.kind || 'text';
+  const { text: textA, tokens: tokensA } = responseA;
+  const { text: textB, tokens: tokensB } = responseB;
+  const matches = findMatches(tokensA, tokensB, options.minLength || DEFAULT_MIN_MATCH[kind]);
+
+  const matchedTokens = matches.reduce((sum, match) => sum + match.length, 0);
+  const totalTokens = tokensA.length + tokensB.length;
+
+  const span = (text, tokens, start, length) => {
+    const from = tokens[start].start;
+    const to = tokens[start + length - 1].end;
+    return { start: from, end: to, text: text.slice(from, to) };
+  };
+
+  return {
+    coverage: totalTokens > 0 ? (2 * matchedTokens) / totalTokens : 0,
+    spans: matches.map(match => ({
+      length: match.length,
+      a: span(textA, tokensA, match.startA, match.length),
+      b: span(textB, tokensB, match.startB, match.length)
+    }))
+  };
+}
+
+/**
+ * Group flagged pairs into clusters of connected students
+ *
+ * @param {Array} pairs - Flagged pairs ({ studentA, studentB, similarity })
+ * @returns {Array} - Clusters ({ students, maxSimilarity })
+ */
+function clusterPairs(pairs) {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  for (const pair of pairs) {
+    for (const id of [pair.studentA, pair.studentB]) {
+      if (!parent.has(id)) parent.set(id, id);
+    }
+    parent.set(find(pair.studentA), find(pair.studentB));
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.studentA);
+    const cluster = clusters.get(root) || { students: new Set(), maxSimilarity: 0 };
+    cluster.students.add(pair.studentA);
+    cluster.students.add(pair.studentB);
+    cluster.maxSimilarity = Math.max(cluster.maxSimilarity, pair.similarity);
+    clusters.set(root, cluster);
+  }
+
+  return [...clusters.values()]
+    .map(cluster => ({ students: [...cluster.students], maxSimilarity: cluster.maxSimilarity }))
+    .sort((a, b) => b.students.length - a.students.length || b.maxSimilarity - a.maxSimilarity);
+}
+
+module.exports = {
+  tokenizeCode,
+  tokenizeText,
+  prepareResponse,
+  compareResponses,
+  comparePrepared,
+  clusterPairs
+};
@@ -0,0 +1,267 @@
+/**
+ * GRANDMAS - Unit Converter
+ *
+ * This module parses numeric answers with units (e.g. "9.8 m/s^2", "1.20 × 10^3 J")
+ * and converts values between compatible units.
+ */
+
+// Base dimensions, in order: length, mass, time, current, temperature, amount, luminosity
+const DIMENSIONS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd'];
+
+/**
+ * Build a unit definition
+ *
+ * @param {number} factor - Multiplier to convert to SI base units
+ * @param {Object} dimensions - Exponent per base dimension
+ * @param {Object} settings - { prefixable, offset }
+ * @returns {Object} - Unit definition
+ */
+function unit(factor, dimensions, settings = {}) {
+  return {
+    factor,
+    dimensions: DIMENSIONS.map(name => dimensions[name] || 0),
+    prefixable: settings.prefixable !== false,
+    offset: settings.offset || 0
+  };
+}
+
+// Known units by symbol
+const UNITS = {
+  // SI base units (mass is defined on the gram so prefixes apply)
+  m: unit(1, { m: 1 }),
+  g: unit(1e-3, { kg: 1 }),
+  s: unit(1, { s: 1 }),
+  A: unit(1, { A: 1 }),
+  K: unit(1, { K: 1 }),
+  mol: unit(1, { mol: 1 }),
+  cd: unit(1, { cd: 1 }),
+
+  // Derived SI units
+  N: unit(1, { kg: 1, m: 1, s: -2 }),
+  J: unit(1, { kg: 1, m: 2, s: -2 }),
+  W: unit(1, { kg: 1, m: 2, s: -3 }),
+  Pa: unit(1, { kg: 1, m: -1, s: -2 }),
+  Hz: unit(1, { s: -1 }),
+  C: unit(1, { A: 1, s: 1 }),
+  V: unit(1, { kg: 1, m: 2, s: -3, A: -1 }),
+  'Ω': unit(1, { kg: 1, m: 2, s: -3, A: -2 }),
+  ohm: unit(1, { kg: 1, m: 2, s: -3, A: -2 }),
+  F: unit(1, { kg: -1, m: -2, s: 4, A: 2 }),
+  T: unit(1, { kg: 1, s: -2, A: -1 }),
+  L: unit(1e-3, { m: 3 }),
+  M: unit(1e3, { mol: 1, m: -3 }),
+
+  // Common non-SI units
+  min: unit(60, { s: 1 }, { prefixable: false }),
+  h: unit(3600, { s: 1 }, { prefixable: false }),
+  day: unit(86400, { s: 1 }, { prefixable: false }),
+  atm: unit(101325, { kg: 1, m: -1, s: -2 }, { prefixable: false }),
+  bar: unit(1e5, { kg: 1, m: -1, s: -2 }),
+  mmHg: unit(133.322, { kg: 1, m: -1, s: -2 }, { prefixable: false }),
+  eV: unit(1.602176634e-19, { kg: 1, m: 2, s: -2 }),
+  cal: unit(4.184, { kg: 1, m: 2, s: -2 }),
+  in: unit(0.0254, { m: 1 }, { prefixable: false }),
+  ft: unit(0.3048, { m: 1 }, { prefixable: false }),
+  mi: unit(1609.344, { m: 1 }, { prefixable: false }),
+  lb: unit(0.45359237, { kg: 1 }, { prefixable: false }),
+  '°': unit(Math.PI / 180, {}, { prefixable: false }),
+  deg: unit(Math.PI / 180, {}, { prefixable: false }),
+  rad: unit(1, {}, { prefixable: false }),
+
+  // Temperature scales with an offset (only valid on their own, not in compound units)
+  '°C': unit(1, { K: 1 }, { prefixable: false, offset: 273.15 }),
+  degC: unit(1, { K: 1 }, { prefixable: false, offset: 273.15 }),
+  '°F': unit(5 / 9, { K: 1 }, { prefixable: false, offset: 459.67 * 5 / 9 })
+};
+
+// Metric prefixes
+const PREFIXES = {
+  Y: 1e24, Z: 1e21, E: 1e18, P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3, h: 1e2, da: 1e1,
+  d: 1e-1, c: 1e-2, m: 1e-3, 'µ': 1e-6, 'μ': 1e-6, u: 1e-6, n: 1e-9, p: 1e-12, f: 1e-15, a: 1e-18
+};
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-'
+};
+
+/**
+ * Look up a unit symbol, allowing a metric prefix
+ *
+ * @param {string} symbol - Unit symbol, e.g. "km"
+ * @returns {Object} - Unit definition
+ */
+function lookupSymbol(symbol) {
+  if (UNITS[symbol]) {
+    return UNITS[symbol];
+  }
+
+  for (const [prefix, multiplier] of Object.entries(PREFIXES)) {
+    const base = UNITS[symbol.slice(prefix.length)];
+    if (symbol.startsWith(prefix) && base && base.prefixable) {
+      return { ...base, factor: base.factor * multiplier };
+    }
+  }
+
+  throw new Error(`Unknown unit "${symbol}"`);
+}
+
+/**
+ * Parse a unit expression such as "m/s^2", "kg·m·s⁻²" or "J/(mol K)"
+ *
+ * Everything after a "/" is in the denominator.
+ *
+ * @param {string} text - Unit expression
+ * @returns {Object} - { factor, offset, dimensions }
+ */
+function parseUnit(text) {
+  const normalized = String(text)
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/g, match => `^${[...match].map(char => SUPERSCRIPTS[char]).join('')}`)
+    .replace(/[−–]/g, '-')
+    .replace(/\*\*/g, '^')
+    .trim();
+
+  const factors = normalized.match(/°?[a-zA-ZµμΩ°]+(\^\(?-?\d+\)?)?|\//g) || [];
+  if (factors.join('').length !== normalized.replace(/[\s*·.()]/g, '').length) {
+    throw new Error(`Invalid unit "${text}"`);
+  }
+
+  let factor = 1;
+  let offset = 0;
+  let sign = 1;
+  let terms = 0;
+  const dimensions = DIMENSIONS.map(() => 0);
+
+  for (const token of factors) {
+    if (token === '/') {
+      sign = -1;
+      continue;
+    }
+
+    const [symbol, exponentText] = token.split('^');
+    const exponent = sign * (exponentText ? parseInt(exponentText.replace(/[()]/g, ''), 10) : 1);
+    const definition = lookupSymbol(symbol);
+
+    factor *= Math.pow(definition.factor, exponent);
+    definition.dimensions.forEach((power, index) => {
+      dimensions[index] += power * exponent;
+    });
+    offset = definition.offset;
+    terms++;
+
+    if (definition.offset && (exponent !== 1 || factors.length > 1)) {
+      throw new Error(`Temperature unit "${symbol}" cannot be combined with other units`);
+    }
+  }
+
+  if (terms === 0) {
+    throw new Error(`Invalid unit "${text}"`);
+  }
+
+  return { factor, offset, dimensions };
+}
+
+/**
+ * Check whether two units measure the same quantity
+ *
+ * @param {string} unitA - First unit
+ * @param {string} unitB - Second unit
+ * @returns {boolean} - Whether the units are compatible
+ */
+function areCompatible(unitA, unitB) {
+  try {
+    const a = parseUnit(unitA);
+    const b = parseUnit(unitB);
+    return a.dimensions.every((power, index) => power === b.dimensions[index]);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert a value between compatible units
+ *
+ * @param {number} value - Value in the source unit
+ * @param {string} fromUnit - Source unit
+ * @param {string} toUnit - Target unit
+ * @returns {number} - Value in the target unit
+ */
+function convert(value, fromUnit, toUnit) {
+  const from = parseUnit(fromUnit);
+  const to = parseUnit(toUnit);
+
+  if (!from.dimensions.every((power, index) => power === to.dimensions[index])) {
+    throw new Error(`Cannot convert "${fromUnit}" to "${toUnit}"`);
+  }
+
+  return ((value * from.factor + from.offset) - to.offset) / to.factor;
+}
+
+/**
+ * Parse a numeric answer with an optional unit
+ *
+ * Commas are only accepted as thousands separators ("1,000 m"); any other comma is rejected.
+ *
+ * @param {string} text - Answer text, e.g. "9.80 m/s^2" or "1.2 × 10^3 J"
+ * @returns {Object} - { value, unit, scientific, sigFigs: { min, max } }
+ */
+function parseQuantity(text) {
+  const normalized = String(text)
+    .replace(/[−–]/g, '-')
+    .replace(/10([⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+)/g, (match, power) => `10^${[...power].map(char => SUPERSCRIPTS[char]).join('')}`)
+    .trim();
+
+  const match = normalized.match(
+    /^([+-]?(?:\d{1,3}(?:,\d{3})+(?:\.\d*)?|\d+\.?\d*|\.\d+))(?:\s*(?:[eE]([+-]?\d+)|[x×*·]\s*10\s*\^\s*\(?([+-]?\d+)\)?))?\s*(.*)$/
+  );
+
+  if (!match || match[4].startsWith(',')) {
+    throw new Error(`"${text}" is not a number`);
+  }
+
+  const [, grouped, eExponent, powerExponent, unitText] = match;
+  const mantissa = grouped.replace(/,/g, '');
+  const exponent = eExponent || powerExponent;
+  const value = parseFloat(exponent ? `${mantissa}e${exponent}` : mantissa);
+  const magnitude = Math.abs(parseFloat(mantissa));
+
+  return {
+    value,
+    unit: unitText ? unitText.trim() : null,
+    scientific: exponent !== undefined && (magnitude === 0 || (magnitude >= 1 && magnitude < 10)),
+    sigFigs: countSignificantFigures(mantissa)
+  };
+}
+
+/**
+ * Count significant figures in a written number
+ *
+ * Trailing zeros of a whole number without a decimal point are ambiguous, so a range is returned.
+ *
+ * @param {string} mantissa - Number as written, without exponent
+ * @returns {Object} - { min, max }
+ */
+function countSignificantFigures(mantissa) {
+  const digits = mantissa.replace(/^[+-]/, '');
+  const hasDecimalPoint = digits.includes('.');
+  const significant = digits.replace('.', '').replace(/^0+/, '');
+
+  if (significant.length === 0) {
+    // Zero: only the digits after the decimal point count
+    const count = hasDecimalPoint ? Math.max(1, digits.split('.')[1].length) : 1;
+    return { min: count, max: count };
+  }
+
+  if (hasDecimalPoint) {
+    return { min: significant.length, max: significant.length };
+  }
+
+  const withoutTrailingZeros = significant.replace(/0+$/, '');
+  return { min: withoutTrailingZeros.length, max: significant.length };
+}
+
+module.exports = {
+  parseQuantity,
+  parseUnit,
+  areCompatible,
+  convert
+};
@@ -69,6 +69,7 @@ CREATE TABLE enrollments (
     enrollment_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'dropped', 'completed')),
     final_grade DECIMAL(5,2),
+    report_comment TEXT, -- Teacher comment shown on the report card
     UNIQUE (course_id, student_id)
 );
 
@@ -79,6 +80,9 @@ CREATE TABLE assignment_categories (
     name VARCHAR(50) NOT NULL,
     weight DECIMAL(5,2) NOT NULL, -- percentage weight in final grade
     description TEXT,
+    late_policy JSONB, -- Default late penalty policy for assignments in this category
+    drop_lowest INTEGER DEFAULT 0, -- Number of lowest scores dropped
+    keep_highest INTEGER, -- Only the highest N scores count (NULL = all)
     UNIQUE (course_id, name)
 );
 
@@ -95,7 +99,16 @@ CREATE TABLE assignments (
     available_until TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_by INTEGER REFERENCES users(user_id),
-    is_published BOOLEAN DEFAULT FALSE
+    is_published BOOLEAN DEFAULT FALSE,
+    is_extra_credit BOOLEAN DEFAULT FALSE, -- Earned points count, possible points do not
+    grades_released BOOLEAN DEFAULT FALSE, -- Whether students can see their grades
+    grades_released_at TIMESTAMP,
+    late_policy JSONB, -- Late penalty policy (overrides the category policy)
+    is_anonymous BOOLEAN DEFAULT FALSE, -- Graders see pseudonyms instead of students
+    anonymous_key VARCHAR(64), -- Secret that pseudonyms and the grading order are derived from
+    deanonymized_at TIMESTAMP,
+    deanonymized_by INTEGER REFERENCES users(user_id),
+    double_marking JSONB -- Questions marked by two graders ({ questionIds, threshold })
 );
 
 -- Question types
@@ -144,13 +157,28 @@ CREATE TABLE submissions (
     student_id INTEGER REFERENCES student_profiles(student_id) ON DELETE CASCADE,
     submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     status VARCHAR(20) DEFAULT 'submitted' CHECK (status IN ('draft', 'submitted', 'late', 'graded')),
-    total_score DECIMAL(5,2),
+    raw_score DECIMAL(5,2), -- Score before late penalty
+    late_penalty DECIMAL(5,2) DEFAULT 0, -- Points deducted for lateness
+    is_late BOOLEAN DEFAULT FALSE,
+    penalty_waived BOOLEAN DEFAULT FALSE,
+    penalty_waived_by INTEGER REFERENCES users(user_id),
+    total_score DECIMAL(5,2), -- Final score after late penalty
     feedback TEXT,
     graded_at TIMESTAMP,
     graded_by INTEGER REFERENCES users(user_id),
     UNIQUE (assignment_id, student_id)
 );
 
+-- Assignments excused for individual students (left out of their grade)
+CREATE TABLE excused_assignments (
+    assignment_id INTEGER REFERENCES assignments(assignment_id) ON DELETE CASCADE,
+    student_id INTEGER REFERENCES student_profiles(student_id) ON DELETE CASCADE,
+    reason TEXT,
+    excused_by INTEGER REFERENCES users(user_id),
+    excused_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (assignment_id, student_id)
+);
+
 -- Question responses
 CREATE TABLE question_responses (
     response_id SERIAL PRIMARY KEY,
@@ -159,11 +187,89 @@ CREATE TABLE question_responses (
     response_data JSONB, -- Stores the student's answer in appropriate format
     score DECIMAL(5,2),
     feedback TEXT,
+    grading_details JSONB, -- Per-question grading breakdown (e.g. test case results)
     graded_at TIMESTAMP,
     graded_by INTEGER REFERENCES users(user_id),
+    claimed_by INTEGER REFERENCES users(user_id), -- Grader working on the response (grading queue)
+    claimed_at TIMESTAMP,
+    moderation_status VARCHAR(20) CHECK (moderation_status IN ('awaiting_second_mark', 'agreed', 'needs_moderation', 'moderated')), -- NULL unless double marked
     UNIQUE (submission_id, question_id)
 );
 
+-- Independent marks of double-marked responses
+CREATE TABLE response_marks (
+    mark_id SERIAL PRIMARY KEY,
+    response_id INTEGER REFERENCES question_responses(response_id) ON DELETE CASCADE,
+    grader_id INTEGER REFERENCES users(user_id),
+    score DECIMAL(5,2) NOT NULL,
+    feedback TEXT,
+    details JSONB, -- Grader's breakdown (e.g. rubric levels)
+    marked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (response_id, grader_id)
+);
+
+-- Grade history (append-only record of every score write)
+CREATE TABLE grade_history (
+    history_id SERIAL PRIMARY KEY,
+    -- History outlives deleted submissions and responses
+    submission_id INTEGER REFERENCES submissions(submission_id) ON DELETE SET NULL,
+    response_id INTEGER REFERENCES question_responses(response_id) ON DELETE SET NULL, -- NULL for submission totals
+    old_score DECIMAL(5,2),
+    new_score DECIMAL(5,2),
+    old_feedback TEXT,
+    new_feedback TEXT,
+    changed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL, -- NULL for automatic grading
+    source VARCHAR(20) NOT NULL CHECK (source IN ('auto_grade', 'manual_grade', 'rubric_grade', 'regrade', 'late_penalty', 'double_mark', 'moderation', 'override')),
+    reason TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reusable feedback comments (personal when course_id is NULL, shared with the course's teachers otherwise)
+CREATE TABLE feedback_comments (
+    comment_id SERIAL PRIMARY KEY,
+    owner_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    course_id INTEGER REFERENCES courses(course_id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES questions(question_id) ON DELETE CASCADE, -- NULL for any question
+    rubric_criterion_id VARCHAR(50), -- Criterion ID within the question's rubric
+    text TEXT NOT NULL, -- May contain placeholders such as {firstName}
+    point_adjustment DECIMAL(5,2) DEFAULT 0,
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bulk grading jobs
+CREATE TABLE grading_jobs (
+    job_id SERIAL PRIMARY KEY,
+    assignment_id INTEGER REFERENCES assignments(assignment_id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    total_submissions INTEGER NOT NULL DEFAULT 0,
+    processed_submissions INTEGER NOT NULL DEFAULT 0,
+    failed_submissions INTEGER NOT NULL DEFAULT 0,
+    summary JSONB, -- Counts, submissions needing manual grading and per-submission errors
+    created_by INTEGER REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Report card batches for a grade level (see generateReportCardBatch)
+CREATE TABLE report_card_jobs (
+    job_id SERIAL PRIMARY KEY,
+    grade_level VARCHAR(20) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('html', 'pdf')),
+    include_unreleased BOOLEAN DEFAULT FALSE,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    total_students INTEGER NOT NULL DEFAULT 0,
+    processed_students INTEGER NOT NULL DEFAULT 0,
+    file_key VARCHAR(512), -- S3 key of the zip file once completed
+    error TEXT,
+    created_by INTEGER REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
 -- Files (for assignments, submissions, etc.)
 CREATE TABLE files (
     file_id SERIAL PRIMARY KEY,
@@ -197,7 +303,10 @@ CREATE TABLE grading_scales (
     description TEXT,
     created_by INTEGER REFERENCES users(user_id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_default BOOLEAN DEFAULT FALSE
+    is_default BOOLEAN DEFAULT FALSE,
+    scale_type VARCHAR(20) DEFAULT 'letter' CHECK (scale_type IN ('letter', 'pass_fail', 'standards')),
+    rounding_mode VARCHAR(10) DEFAULT 'none' CHECK (rounding_mode IN ('none', 'half_up', 'decimals')),
+    rounding_decimals INTEGER DEFAULT 0 -- Used with rounding_mode 'decimals'
 );
 
 -- Grading scale thresholds
@@ -207,6 +316,8 @@ CREATE TABLE grading_scale_thresholds (
     grade VARCHAR(10) NOT NULL,
     min_score DECIMAL(5,2) NOT NULL,
     max_score DECIMAL(5,2) NOT NULL,
+    gpa_points DECIMAL(3,2), -- Quality points for GPA calculation
+    is_passing BOOLEAN, -- Whether the band passes (required for pass/fail scales)
     UNIQUE (scale_id, grade)
 );
 
@@ -225,5 +336,13 @@ CREATE INDEX idx_questions_assignment ON questions(assignment_id);
 CREATE INDEX idx_submissions_assignment ON submissions(assignment_id);
 CREATE INDEX idx_submissions_student ON submissions(student_id);
 CREATE INDEX idx_question_responses_submission ON question_responses(submission_id);
+CREATE INDEX idx_question_responses_ungraded ON question_responses(submission_id) WHERE score IS NULL;
+CREATE INDEX idx_response_marks_grader ON response_marks(grader_id);
+CREATE INDEX idx_excused_assignments_student ON excused_assignments(student_id);
+CREATE INDEX idx_grade_history_submission ON grade_history(submission_id);
+CREATE INDEX idx_grade_history_response ON grade_history(response_id);
+CREATE INDEX idx_feedback_comments_owner ON feedback_comments(owner_id);
+CREATE INDEX idx_feedback_comments_course ON feedback_comments(course_id);
+CREATE INDEX idx_grading_jobs_assignment ON grading_jobs(assignment_id);
 CREATE INDEX idx_audit_logs_user ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_timestamp ON audit_logs(timestamp);
\ No newline at end of file
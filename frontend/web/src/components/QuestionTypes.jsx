@@ -70,6 +70,29 @@ export const MultipleChoiceQuestion = ({ question, onChange, value, disabled })
   );
 };
 
+/**
+ * Describe how a Multiple Answer question is scored, without revealing the answers
+ *
+ * Students only receive the policy type, n and floor; option weights stay on the server.
+ */
+const describeScoringPolicy = (scoringPolicy) => {
+  const policy = typeof scoringPolicy === 'string' ? { type: scoringPolicy } : (scoringPolicy || {});
+  const floor = policy.floor ? ` (minimum ${Math.round(policy.floor * 100)}%)` : '';
+  
+  switch (policy.type) {
+    case 'all_or_nothing':
+      return 'Full credit only if you select exactly the correct options';
+    case 'right_minus_wrong':
+      return `Each incorrect selection cancels out a correct one${floor}`;
+    case 'weighted':
+      return `Options carry different weights and incorrect selections may deduct points${floor}`;
+    case 'at_least_n':
+      return `Full credit for selecting at least ${policy.n || 1} correct option${(policy.n || 1) > 1 ? 's' : ''} and no incorrect ones`;
+    default:
+      return 'Credit for each option correctly selected or left unselected';
+  }
+};
+
 /**
  * Component for rendering and answering Multiple Answer questions
  */
@@ -96,6 +119,9 @@ export const MultipleAnswerQuestion = ({ question, onChange, value = [], disable
         <Typography variant="body2" color="textSecondary" gutterBottom>
           Select all that apply
         </Typography>
+        <Typography variant="caption" color="textSecondary" display="block" gutterBottom>
+          Scoring: {describeScoringPolicy(question.metadata?.scoringPolicy)}
+        </Typography>
         <FormControl component="fieldset" disabled={disabled}>
           <FormGroup>
             {question.options.map((option, index) => (
@@ -192,7 +218,9 @@ export const MatchingQuestion = ({ question, onChange, value = {}, disabled }) =
 /**
  * Component for rendering and answering Short Answer questions
  */
-export const ShortAnswerQuestion = ({ question, onChange, value = '', disabled }) => {
+export const ShortAnswerQuestion = ({ question, onChange, value = '', disabled, grading, onPromoteAnswer }) => {
+  const modelAnswer = grading?.grading_details?.modelAnswer;
+  
   return (
     <Card variant="outlined" sx={{ mb: 2 }}>
       <CardContent>
@@ -210,15 +238,143 @@ export const ShortAnswerQuestion = ({ question, onChange, value = '', disabled }
           disabled={disabled}
           sx={{ mt: 2 }}
         />
+        {modelAnswer && (
+          <Typography variant="caption" color="textSecondary" display="block" sx={{ mt: 1 }}>
+            Closest model answer: {Math.round(modelAnswer.similarity * 100)}% similar, {modelAnswer.credit * 100}% credit
+          </Typography>
+        )}
+        {onPromoteAnswer && grading && value && (
+          <Box sx={{ mt: 1, display: 'flex', gap: 1, alignItems: 'center' }}>
+            <Typography variant="caption">Add as model answer:</Typography>
+            <Button size="small" onClick={() => onPromoteAnswer({ responseId: grading.response_id, credit: 1 })}>
+              Full credit
+            </Button>
+            <Button size="small" onClick={() => onPromoteAnswer({ responseId: grading.response_id, credit: 0.5 })}>
+              Partial credit
+            </Button>
+            <Button size="small" color="error" onClick={() => onPromoteAnswer({ responseId: grading.response_id, credit: 0 })}>
+              Misconception
+            </Button>
+          </Box>
+        )}
       </CardContent>
     </Card>
   );
 };
 
+/**
+ * Component for showing a graded rubric breakdown next to a response
+ */
+export const RubricBreakdown = ({ breakdown }) => {
+  const total = breakdown.reduce((sum, criterion) => sum + criterion.points, 0);
+  const maxTotal = breakdown.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+  
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="subtitle2" color="primary" gutterBottom>
+        Rubric Scores
+      </Typography>
+      {breakdown.map((criterion) => (
+        <Box key={criterion.criterionId} sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+          <Box>
+            <Typography variant="body2">{criterion.name}</Typography>
+            <Typography variant="caption" color="textSecondary">{criterion.label}</Typography>
+          </Box>
+          <Typography variant="body2">
+            {criterion.points} / {criterion.maxPoints}
+          </Typography>
+        </Box>
+      ))}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', borderTop: 1, borderColor: 'divider', pt: 1 }}>
+        <Typography variant="subtitle2">Total</Typography>
+        <Typography variant="subtitle2">{total} / {maxTotal}</Typography>
+      </Box>
+    </Paper>
+  );
+};
+
+/**
+ * Component for picking saved feedback comments while grading
+ *
+ * Picked comment IDs are sent with the grade; placeholders such as {firstName}
+ * are filled in by the server.
+ */
+export const FeedbackCommentPicker = ({ comments, criteria = [], value = [], onChange, disabled }) => {
+  const [criterionId, setCriterionId] = useState('');
+
+  const handleToggle = (commentId) => {
+    const newValue = value.includes(commentId)
+      ? value.filter(id => id !== commentId)
+      : [...value, commentId];
+    onChange(newValue);
+  };
+
+  const visibleComments = comments.filter(comment =>
+    !criterionId || !comment.rubricCriterionId || String(comment.rubricCriterionId) === criterionId
+  );
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="subtitle2" color="primary" gutterBottom>
+        Comment Bank
+      </Typography>
+      {criteria.length > 0 && (
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Rubric criterion"
+          value={criterionId}
+          onChange={(e) => setCriterionId(e.target.value)}
+          SelectProps={{ native: true }}
+          sx={{ mb: 1 }}
+        >
+          <option value="">All criteria</option>
+          {criteria.map((criterion) => (
+            <option key={criterion.id} value={String(criterion.id)}>
+              {criterion.name}
+            </option>
+          ))}
+        </TextField>
+      )}
+      {visibleComments.length === 0 && (
+        <Typography variant="body2" color="textSecondary">
+          No saved comments
+        </Typography>
+      )}
+      <FormGroup>
+        {visibleComments.map((comment) => (
+          <FormControlLabel
+            key={comment.commentId}
+            control={
+              <Checkbox
+                checked={value.includes(comment.commentId)}
+                onChange={() => handleToggle(comment.commentId)}
+                disabled={disabled}
+              />
+            }
+            label={
+              <Box>
+                <Typography variant="body2">{comment.text}</Typography>
+                <Typography variant="caption" color="textSecondary">
+                  {comment.pointAdjustment !== 0 && `${comment.pointAdjustment > 0 ? '+' : ''}${comment.pointAdjustment} pts · `}
+                  used {comment.usageCount} times
+                </Typography>
+              </Box>
+            }
+          />
+        ))}
+      </FormGroup>
+    </Paper>
+  );
+};
+
 /**
  * Component for rendering and answering Essay questions
  */
-export const EssayQuestion = ({ question, onChange, value = '', disabled }) => {
+export const EssayQuestion = ({ question, onChange, value = '', disabled, grading }) => {
+  const rubricBreakdown = grading?.grading_details?.rubric;
+  
   return (
     <Card variant="outlined" sx={{ mb: 2 }}>
       <CardContent>
@@ -233,19 +389,35 @@ export const EssayQuestion = ({ question, onChange, value = '', disabled }) => {
             <Typography variant="body2">
               {question.rubric.description}
             </Typography>
+            {question.rubric.criteria && question.rubric.criteria.map((criterion) => (
+              <Typography key={criterion.id} variant="body2" color="textSecondary">
+                {criterion.name}: {criterion.levels.map(level => `${level.label} (${level.points})`).join(', ')}
+              </Typography>
+            ))}
           </Box>
         )}
-        <TextField
-          fullWidth
-          multiline
-          rows={6}
-          variant="outlined"
-          placeholder="Enter your essay"
-          value={value}
-          onChange={(e) => onChange(e.target.value)}
-          disabled={disabled}
-          sx={{ mt: 2 }}
-        />
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={rubricBreakdown ? 8 : 12}>
+            <TextField
+              fullWidth
+              multiline
+              rows={6}
+              variant="outlined"
+              placeholder="Enter your essay"
+              value={value}
+              onChange={(e) => onChange(e.target.value)}
+              disabled={disabled}
+              sx={{ mt: 2 }}
+            />
+          </Grid>
+          {rubricBreakdown && (
+            <Grid item xs={12} md={4}>
+              <Box sx={{ mt: 2 }}>
+                <RubricBreakdown breakdown={rubricBreakdown} />
+              </Box>
+            </Grid>
+          )}
+        </Grid>
       </CardContent>
     </Card>
   );
@@ -507,7 +679,7 @@ export const OralQuestion = ({ question, onChange, value = null, disabled }) =>
 /**
  * Factory function to render the appropriate question component based on type
  */
-export const QuestionRenderer = ({ question, onChange, value, disabled }) => {
+export const QuestionRenderer = ({ question, onChange, value, disabled, grading, onPromoteAnswer }) => {
   switch (question.type) {
     case 'true_false':
       return <TrueFalseQuestion question={question} onChange={onChange} value={value} disabled={disabled} />;
@@ -518,9 +690,18 @@ export const QuestionRenderer = ({ question, onChange, value, disabled }) => {
     case 'matching':
       return <MatchingQuestion question={question} onChange={onChange} value={value} disabled={disabled} />;
     case 'short_answer':
-      return <ShortAnswerQuestion question={question} onChange={onChange} value={value} disabled={disabled} />;
+      return (
+        <ShortAnswerQuestion
+          question={question}
+          onChange={onChange}
+          value={value}
+          disabled={disabled}
+          grading={grading}
+          onPromoteAnswer={onPromoteAnswer}
+        />
+      );
     case 'essay':
-      return <EssayQuestion question={question} onChange={onChange} value={value} disabled={disabled} />;
+      return <EssayQuestion question={question} onChange={onChange} value={value} disabled={disabled} grading={grading} />;
     case 'fill_in_blank':
       return <FillInBlankQuestion question={question} onChange={onChange} value={value} disabled={disabled} />;
     case 'computational':